@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
 var path = require("path");
+var fs = require("fs");
 var commandLineArgs = require('command-line-args');
 var SimpleThumbnailGenerator = require("./simple-thumbnail-generator");
 var ThumbnailGeneratorService = require("./thumbnail-generator-service");
+var S3Storage = require("./s3-storage");
 var utils = require("./utils");
 var Logger = require("./logger");
 
@@ -12,18 +14,46 @@ var optionDefinitions = [
 	{ name: 'url', alias: 'u', type: String, defaultOption: true },
 	// If url provided use this file name for the manifest file.
 	{ name: 'manifestFileName', alias: 'm', type: String },
+	// Also write a WebVTT thumbnails track next to the manifest.
+	{ name: 'webvtt', type: Boolean, defaultValue: false },
 	// If url provided use this as a prefix for the thumbnail file names.
 	{ name: 'outputNamePrefix', type: String, defaultValue: null },
+	// If url provided and the manifest file already exists continue from where it left off.
+	{ name: 'resume', type: Boolean, defaultValue: false },
 	
 	// If provided start a server running on this port listening for commands
 	{ name: 'port', alias: 'p', type: Number, defaultValue: null },
 	// Ping request must be made every pingInterval seconds or thumbnail generation will automatically stop. Defaults to disabled.
 	{ name: 'pingInterval', type: Number },
+	// Save the generators to this file and re-create them when the service starts. Defaults to disabled.
+	{ name: 'stateFile', type: String },
+	// The maximum number of ffmpeg processes to run at once between all generators. Defaults to the number of CPUs.
+	{ name: 'ffmpegConcurrency', type: Number },
 	// empty the output directory on startup
 	{ name: 'clearOutputDir', type: Boolean, defaultValue: false },
 	{ name: 'outputDir', alias: 'o', type: String, defaultValue: "./output" },
 	{ name: 'tempDir', alias: 't', type: String },
+	// If provided thumbnails and manifests will be stored in this bucket with an S3 compatible API instead of 'outputDir'.
+	{ name: 's3Bucket', type: String },
+	// The url of the S3 compatible API. Defaults to "https://s3.amazonaws.com".
+	{ name: 's3Endpoint', type: String, defaultValue: "https://s3.amazonaws.com" },
+	// The access key id for the S3 compatible API. Defaults to the AWS_ACCESS_KEY_ID environment variable.
+	{ name: 's3AccessKeyId', type: String },
+	// The secret access key for the S3 compatible API. Defaults to the AWS_SECRET_ACCESS_KEY environment variable.
+	{ name: 's3SecretAccessKey', type: String },
+	// This will be prepended to the object keys.
+	{ name: 's3Prefix', type: String },
+	// The url the objects are publicly accessible at. Defaults to the object url on the endpoint.
+	{ name: 's3PublicUrl', type: String },
+	// A canned ACL to apply to uploaded objects, e.g. "public-read".
+	{ name: 's3Acl', type: String },
 	{ name: 'secret', alias: 's', type: String },
+	// Allow the manifest, WebVTT, thumbnail file and event stream requests without the secret.
+	{ name: 'publicFiles', type: Boolean, defaultValue: false },
+	// Allow the metrics request without the secret.
+	{ name: 'publicMetrics', type: Boolean, defaultValue: false },
+	// The value of the Access-Control-Allow-Origin header for the file and event stream requests. Defaults to "*".
+	{ name: 'corsOrigin', type: String },
 	// The time in seconds to keep thumbnails for before deleting them, once their segments have left the playlist. Defaults to 0.
 	{ name: 'expireTime', alias: 'e', type: Number },
 	// Keep all thumbnails and the manifest around forever. Cannot be used with `expireTime`.
@@ -38,9 +68,69 @@ var optionDefinitions = [
 	{ name: 'width', alias: 'w', type: Number },
 	// The default height of the thumbnails to generate (px). If omitted this will be calculated automatically from the width.
 	{ name: 'height', alias: 'h', type: Number },
+	// Generate a rendition of each thumbnail with this size, in the form "[width]x[height]". Can be provided multiple times. Cannot be used with 'width' or 'height'.
+	{ name: 'size', type: String, multiple: true, defaultValue: [] },
+	// The image format. One of "jpg", "png", "webp" or "avif". Defaults to "jpg".
+	{ name: 'format', alias: 'f', type: String, defaultValue: "jpg" },
+	// The image quality from 0 to 100, where higher is better. Does not apply to "png". Defaults to the encoder default.
+	{ name: 'quality', alias: 'q', type: Number },
+	// Take thumbnails when the scene changes instead of at an interval. Cannot be used with 'interval', 'targetThumbnailCount' or 'initialThumbnailCount'.
+	{ name: 'sceneChange', type: Boolean, defaultValue: false },
+	// How different a frame has to be to the previous one to count as a scene change, from 0 to 1. Defaults to 0.4.
+	{ name: 'sceneChangeThreshold', type: Number, defaultValue: 0.4 },
+	// The minimum time between thumbnails in scene change mode (seconds). Defaults to 2.
+	{ name: 'minSceneChangeGap', type: Number, defaultValue: 2 },
+	// If provided a thumbnail will be taken after this long without a scene change (seconds).
+	{ name: 'maxSceneChangeGap', type: Number },
+	// Do not use frames that are black.
+	{ name: 'skipBlackFrames', type: Boolean, defaultValue: false },
+	// Do not use frames that are nearly all the same colour, e.g. a blank slate.
+	{ name: 'skipUniformFrames', type: Boolean, defaultValue: false },
+	// Do not use frames that are the same as the previous thumbnail.
+	{ name: 'skipFrozenFrames', type: Boolean, defaultValue: false },
+	// The number of nearby frames to try when a frame is skipped. Defaults to 2.
+	{ name: 'rejectedFrameRetryCount', type: Number, defaultValue: 2 },
+	// How far from a skipped frame the next one to try is (seconds). Defaults to 1.
+	{ name: 'rejectedFrameRetryOffset', type: Number, defaultValue: 1 },
+	// If provided with 'spriteSheetRows' thumbnails will be packed into sprite sheets with this many columns.
+	{ name: 'spriteSheetColumns', type: Number },
+	// If provided with 'spriteSheetColumns' thumbnails will be packed into sprite sheets with this many rows.
+	{ name: 'spriteSheetRows', type: Number },
+	// How to pick the variant from a master playlist. One of "first", "lowestBandwidth", "highestBandwidth" or "closestResolution". Defaults to "first".
+	{ name: 'variantSelection', type: String, defaultValue: "first" },
+	// Variants with a higher bandwidth than this will not be considered, unless there are no others.
+	{ name: 'maxBandwidth', type: Number },
+	// Take a thumbnail at the start of each discontinuity and continue the interval from there.
+	{ name: 'resetIntervalOnDiscontinuity', type: Boolean, defaultValue: false },
+	// An extra header to send with requests for AES-128 decryption keys, in the form "Name: value". Can be provided multiple times.
+	{ name: 'keyRequestHeader', type: String, multiple: true, defaultValue: [] },
+	// A header to send with the playlist, segment and key requests, in the form "Name: value". Can be provided multiple times.
+	{ name: 'header', type: String, multiple: true, defaultValue: [] },
+	// A cookie to send with the playlist, segment and key requests, in the form "name=value". Can be provided multiple times.
+	{ name: 'cookie', type: String, multiple: true, defaultValue: [] },
+	// Credentials for basic auth on the playlist, segment and key requests, in the form "username:password".
+	{ name: 'basicAuth', type: String },
+	// A bearer token to send with the playlist, segment and key requests.
+	{ name: 'bearerToken', type: String },
+	// The url of a proxy to send the playlist, segment and key requests through.
+	{ name: 'proxy', type: String },
+	// The timeout for the playlist, segment and key requests (seconds). Defaults to 15.
+	{ name: 'requestTimeout', type: Number },
+	// Do not fail requests to servers with invalid TLS certificates.
+	{ name: 'insecure', type: Boolean, defaultValue: false },
+	// A file with certificate authorities to trust, in PEM format.
+	{ name: 'caFile', type: String },
+	// A file with a client certificate, in PEM format.
+	{ name: 'certFile', type: String },
+	// A file with the private key of the client certificate, in PEM format.
+	{ name: 'keyFile', type: String },
+	// Copy all the query parameters from the playlist url to the variant, segment, init segment and key urls, e.g. for CDN tokens.
+	{ name: 'propagateQuery', type: Boolean, defaultValue: false },
+	// Copy this query parameter from the playlist url to the variant, segment, init segment and key urls. Can be provided multiple times.
+	{ name: 'propagateQueryParam', type: String, multiple: true, defaultValue: [] },
 	// Do not abort immediately if the playlist response is a 404. Defaults to false.
 	{ name: 'ignorePlaylist404', type: Boolean, defaultValue: false },
-	// The number of times to retry downloding the playlist on an error. Defaults to 2. Can be -1 for unlimited retries.
+	// The number of times to retry downloding the playlist on an error, with an exponential backoff. Defaults to 2. Can be -1 for unlimited retries.
 	{ name: 'playlistRetryCount', type: Number, defaultValue: 2 },
 ];
 
@@ -54,14 +144,38 @@ if (options.url && options.pingInterval) {
 	throw new Error("Cannot use 'url' and 'pingInterval' together.");
 }
 
+if (options.url && options.ffmpegConcurrency) {
+	throw new Error("Cannot use 'url' and 'ffmpegConcurrency' together.");
+}
+
+if (options.url && options.stateFile) {
+	throw new Error("Cannot use 'url' and 'stateFile' together.");
+}
+
+if (options.stateFile && options.clearOutputDir) {
+	throw new Error("'stateFile' cannot be used with the 'clearOutputDir' option.");
+}
+
 if (options.url && options.secret) {
 	throw new Error("Cannot use 'url' and 'secret' together.");
 }
 
+if (options.url && (options.publicFiles || options.publicMetrics || options.corsOrigin)) {
+	throw new Error("'publicFiles', 'publicMetrics' and 'corsOrigin' cannot be used with the 'url' option.");
+}
+
 if (!options.url && options.manifestFileName) {
 	throw new Error("'manifestFileName' can only be used with the 'url' option.");
 }
 
+if (!options.url && options.resume) {
+	throw new Error("'resume' can only be used with the 'url' option.");
+}
+
+if (options.resume && options.clearOutputDir) {
+	throw new Error("'resume' cannot be used with the 'clearOutputDir' option.");
+}
+
 if (!options.url && options.outputNamePrefix) {
 	throw new Error("'outputNamePrefix' can only be used with the 'url' option.");
 }
@@ -70,50 +184,159 @@ if (port !== null && options.port % 1 !== 0) {
 	throw new Error("Port invalid.");
 }
 
+if (options.size.length > 0 && (options.width || options.height)) {
+	throw new Error("'size' cannot be used with 'width' or 'height'.");
+}
+
 if (options.neverDelete && options.expireTime !== undefined) {
 	throw new Error("'expireTime' cannot be used with the 'neverDelete' option.");
 }
 
+if (options.basicAuth && options.bearerToken) {
+	throw new Error("'basicAuth' cannot be used with the 'bearerToken' option.");
+}
+
+if (options.propagateQuery && options.propagateQueryParam.length > 0) {
+	throw new Error("'propagateQuery' cannot be used with the 'propagateQueryParam' option.");
+}
+
+var storage = options.s3Bucket ? new S3Storage({
+	endpoint: options.s3Endpoint,
+	bucket: options.s3Bucket,
+	accessKeyId: options.s3AccessKeyId || process.env.AWS_ACCESS_KEY_ID,
+	secretAccessKey: options.s3SecretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+	prefix: options.s3Prefix,
+	publicUrl: options.s3PublicUrl,
+	acl: options.s3Acl
+}) : null;
+var resetIntervalOnDiscontinuity = options.resetIntervalOnDiscontinuity;
+var keyRequestHeaders = {};
+options.keyRequestHeader.forEach((header) => {
+	var separatorIndex = header.indexOf(":");
+	if (separatorIndex < 1) {
+		throw new Error("Invalid 'keyRequestHeader'. Must be in the form \"Name: value\".");
+	}
+	keyRequestHeaders[header.slice(0, separatorIndex).trim()] = header.slice(separatorIndex+1).trim();
+});
+var http = {
+	headers: {},
+	cookies: options.cookie.length > 0 ? options.cookie.join("; ") : null,
+	auth: null,
+	proxy: options.proxy || null,
+	timeout: options.requestTimeout || 15,
+	rejectUnauthorized: !options.insecure,
+	ca: options.caFile ? fs.readFileSync(options.caFile) : null,
+	cert: options.certFile ? fs.readFileSync(options.certFile) : null,
+	key: options.keyFile ? fs.readFileSync(options.keyFile) : null,
+	propagateQueryParams: options.propagateQueryParam.length > 0 ? options.propagateQueryParam : options.propagateQuery
+};
+options.header.forEach((header) => {
+	var separatorIndex = header.indexOf(":");
+	if (separatorIndex < 1) {
+		throw new Error("Invalid 'header'. Must be in the form \"Name: value\".");
+	}
+	http.headers[header.slice(0, separatorIndex).trim()] = header.slice(separatorIndex+1).trim();
+});
+if (options.basicAuth) {
+	var authSeparatorIndex = options.basicAuth.indexOf(":");
+	if (authSeparatorIndex === -1) {
+		throw new Error("Invalid 'basicAuth'. Must be in the form \"username:password\".");
+	}
+	http.auth = {
+		username: options.basicAuth.slice(0, authSeparatorIndex),
+		password: options.basicAuth.slice(authSeparatorIndex+1)
+	};
+}
+else if (options.bearerToken) {
+	http.auth = {
+		bearer: options.bearerToken
+	};
+}
+
 var logger = Logger.get("SimpleThumbnailGeneratorCLI");
 var url = options.url;
 var manifestFileName = url ? options.manifestFileName || "thumbnails.json" : null;
+var webvtt = options.webvtt;
 var outputNamePrefix = options.outputNamePrefix || null;
 var port = !url ? options.port || 8080 : null;
 var pingInterval = options.pingInterval || null;
+var stateFile = options.stateFile ? path.resolve(options.stateFile) : null;
+var ffmpegConcurrency = options.ffmpegConcurrency || null;
 var clearOutputDir = options.clearOutputDir;
 var outputDir = path.resolve(options.outputDir);
 var tempDir = options.tempDir ? path.resolve(options.tempDir) : null;
 var secret = options.secret || null;
+var publicFiles = options.publicFiles;
+var publicMetrics = options.publicMetrics;
+var corsOrigin = options.corsOrigin || null;
 var expireTime = options.expireTime;
 var neverDelete = options.neverDelete;
 var interval = options.interval || null;
 var initialThumbnailCount = options.initialThumbnailCount || null;
-var targetThumbnailCount = !interval ? options.targetThumbnailCount || 30 : null;
+var sceneChange = options.sceneChange;
+var targetThumbnailCount = !interval && !sceneChange ? options.targetThumbnailCount || 30 : null;
+var sceneChangeThreshold = options.sceneChangeThreshold;
+var minSceneChangeGap = options.minSceneChangeGap;
+var maxSceneChangeGap = options.maxSceneChangeGap || null;
 var height = options.height || null;
 var width = options.width || (options.height ? null : 150);
+var sizes = options.size.length > 0 ? options.size : null;
+var format = options.format;
+var quality = typeof(options.quality) === "number" ? options.quality : null;
+var skipBlackFrames = options.skipBlackFrames;
+var skipUniformFrames = options.skipUniformFrames;
+var skipFrozenFrames = options.skipFrozenFrames;
+var rejectedFrameRetryCount = options.rejectedFrameRetryCount;
+var rejectedFrameRetryOffset = options.rejectedFrameRetryOffset;
+var spriteSheetColumns = options.spriteSheetColumns || null;
+var spriteSheetRows = options.spriteSheetRows || null;
+var variantSelection = options.variantSelection;
+var maxBandwidth = options.maxBandwidth || null;
 var ignorePlaylist404 = options.ignorePlaylist404;
 var playlistRetryCount = options.playlistRetryCount;
 
 var simpleThumbnailGeneratorOptions = {
 	expireTime: expireTime,
 	neverDelete: neverDelete,
-	manifestFileName: manifestFileName
+	manifestFileName: manifestFileName,
+	resume: options.resume,
+	webvttFileName: url && webvtt ? manifestFileName.replace(/(\.json)?$/, ".vtt") : null
 };
 var thumbnailGeneratorOptions = {
 	playlistUrl: url,
 	outputDir: outputDir,
+	storage: storage,
 	tempDir: tempDir,
 	interval: interval,
 	initialThumbnailCount: initialThumbnailCount,
 	targetThumbnailCount: targetThumbnailCount,
+	sceneChange: sceneChange,
+	sceneChangeThreshold: sceneChangeThreshold,
+	minSceneChangeGap: minSceneChangeGap,
+	maxSceneChangeGap: maxSceneChangeGap,
 	thumbnailWidth: width,
 	thumbnailHeight: height,
+	sizes: sizes,
+	format: format,
+	quality: quality,
+	skipBlackFrames: skipBlackFrames,
+	skipUniformFrames: skipUniformFrames,
+	skipFrozenFrames: skipFrozenFrames,
+	rejectedFrameRetryCount: rejectedFrameRetryCount,
+	rejectedFrameRetryOffset: rejectedFrameRetryOffset,
+	spriteSheetColumns: spriteSheetColumns,
+	spriteSheetRows: spriteSheetRows,
+	resetIntervalOnDiscontinuity: resetIntervalOnDiscontinuity,
+	keyRequestHeaders: keyRequestHeaders,
+	http: http,
+	variantSelection: variantSelection,
+	maxBandwidth: maxBandwidth,
 	ignorePlaylist404: ignorePlaylist404,
 	playlistRetryCount: playlistRetryCount
 };
 
 Promise.resolve().then(() => {
-	if (clearOutputDir) {
+	if (clearOutputDir && !storage) {
 		return utils.exists(outputDir).then((exists) => {
 			if (exists) {
 				logger.debug("Clearing output directory.");
@@ -142,8 +365,14 @@ Promise.resolve().then(() => {
 	else {
 		new ThumbnailGeneratorService({
 			secret: secret,
+			publicFiles: publicFiles,
+			publicMetrics: publicMetrics,
+			corsOrigin: corsOrigin,
 			port: port,
-			pingInterval: pingInterval
+			pingInterval: pingInterval,
+			webvtt: webvtt,
+			stateFile: stateFile,
+			ffmpegConcurrency: ffmpegConcurrency
 		}, simpleThumbnailGeneratorOptions, thumbnailGeneratorOptions);
 	}
 }).catch((err) => {
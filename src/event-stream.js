@@ -0,0 +1,156 @@
+// send a comment this often (ms) so that proxies don't close idle connections
+const heartbeatInterval = 15000;
+
+/**
+ * Sends events to clients with Server-Sent Events.
+ * Recent events are kept so that clients which reconnect with a "Last-Event-ID" header can resume.
+ * Event ids are in the form [stream id]-[number], where the stream id is unique to this stream,
+ * so that ids from a previous stream, e.g. before the service restarted, are not mistaken for ids from this one.
+ * New clients, and clients that can't resume because the events they missed are no longer kept, are sent a "resync" event
+ * instead, and should replace everything they know with the data from that.
+ * @constructor
+ * @param {Object} options
+ * @param {Number} [options.bufferSize] The number of recent events to keep for clients that reconnect. Defaults to 100.
+ * @param {Function} [options.getResyncData] Returns the data for a "resync" event. Defaults to returning null.
+ */
+function EventStream(options) {
+	options = options || {};
+	this._bufferSize = typeof(options.bufferSize) === "number" ? options.bufferSize : 100;
+	this._getResyncData = options.getResyncData || (() => null);
+	this._streamId = Date.now().toString(36);
+	// the number of the last event
+	this._lastEventNum = 0;
+	// {num, event, data}
+	this._buffer = [];
+	// the open responses
+	this._clients = [];
+	this._heartbeatIntervalId = null;
+	this._closed = false;
+}
+
+/**
+ * Add a client. The response is kept open until the client disconnects or the stream is closed.
+ * @param {Object} req The express request.
+ * @param {Object} res The express response.
+ */
+EventStream.prototype.addClient = function(req, res) {
+	res.status(200).set({
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		"Connection": "keep-alive",
+		// stop nginx buffering the response
+		"X-Accel-Buffering": "no"
+	});
+	res.flushHeaders();
+
+	var missedEvents = this._getEventsSince(req.get("Last-Event-ID"));
+	if (missedEvents) {
+		missedEvents.forEach((entry) => {
+			this._write(res, entry);
+		});
+	}
+	else {
+		this._write(res, {
+			num: this._lastEventNum,
+			event: "resync",
+			data: this._getResyncData()
+		});
+	}
+
+	if (this._closed) {
+		res.end();
+		return;
+	}
+	this._clients.push(res);
+	req.on("close", () => {
+		this._removeClient(res);
+	});
+	this._updateHeartbeat();
+};
+
+/**
+ * Send an event to all clients.
+ * @param {String} event The name of the event.
+ * @param {*} data The data for the event, which will be sent as JSON.
+ */
+EventStream.prototype.send = function(event, data) {
+	if (this._closed) {
+		return;
+	}
+	var entry = {
+		num: ++this._lastEventNum,
+		event: event,
+		data: typeof(data) === "undefined" ? null : data
+	};
+	this._buffer.push(entry);
+	if (this._buffer.length > this._bufferSize) {
+		this._buffer.shift();
+	}
+	this._clients.forEach((res) => {
+		this._write(res, entry);
+	});
+};
+
+/**
+ * End all the responses. No more events can be sent, and clients that connect after this receive the kept events and are then disconnected.
+ */
+EventStream.prototype.close = function() {
+	if (this._closed) {
+		return;
+	}
+	this._closed = true;
+	this._clients.forEach((res) => {
+		res.end();
+	});
+	this._clients = [];
+	this._updateHeartbeat();
+};
+
+// the events after the provided id, or null if the client can't resume from it
+EventStream.prototype._getEventsSince = function(lastEventId) {
+	if (!lastEventId) {
+		return null;
+	}
+	var parts = lastEventId.split("-");
+	var num = parseInt(parts[1], 10);
+	if (parts.length !== 2 || parts[0] !== this._streamId || isNaN(num) || num > this._lastEventNum) {
+		return null;
+	}
+	var firstKeptNum = this._buffer.length > 0 ? this._buffer[0].num : this._lastEventNum+1;
+	if (num < firstKeptNum-1) {
+		// some of the events after this one are no longer kept
+		return null;
+	}
+	return this._buffer.filter((entry) => {
+		return entry.num > num;
+	});
+};
+
+EventStream.prototype._write = function(res, entry) {
+	res.write("id: "+this._streamId+"-"+entry.num+"\nevent: "+entry.event+"\ndata: "+JSON.stringify(entry.data)+"\n\n");
+};
+
+EventStream.prototype._removeClient = function(res) {
+	var index = this._clients.indexOf(res);
+	if (index !== -1) {
+		this._clients.splice(index, 1);
+		this._updateHeartbeat();
+	}
+};
+
+// only run the heartbeat while there are clients
+EventStream.prototype._updateHeartbeat = function() {
+	if (this._clients.length > 0 && this._heartbeatIntervalId === null) {
+		this._heartbeatIntervalId = setInterval(() => {
+			this._clients.forEach((res) => {
+				res.write(":\n\n");
+			});
+		}, heartbeatInterval);
+	}
+	else if (this._clients.length === 0 && this._heartbeatIntervalId !== null) {
+		clearInterval(this._heartbeatIntervalId);
+		this._heartbeatIntervalId = null;
+	}
+};
+
+module.exports = EventStream;
@@ -0,0 +1,261 @@
+var os = require("os");
+
+/**
+ * Limits the number of ffmpeg processes that run at once, so that it can be shared between generators.
+ * Each generator gets its own queue with `createQueue()`, and the queues take turns to start jobs,
+ * so that a generator with a lot of work can't hold up the others.
+ * @constructor
+ * @param {Object} [options]
+ * @param {Number} [options.concurrency] The maximum number of jobs to run at once. Defaults to the number of CPUs.
+ * @param {Number} [options.maxQueued] When at least this many jobs are waiting the scheduler is saturated,
+ *   and `waitUntilReady()` waits until there are fewer. Defaults to twice the concurrency.
+ */
+function FfmpegScheduler(options) {
+	options = options || {};
+	this._concurrency = options.concurrency || os.cpus().length;
+	if (this._concurrency !== Infinity && (this._concurrency % 1 !== 0 || this._concurrency < 1)) {
+		throw new Error("concurrency must be an integer greater than 0.");
+	}
+	this._maxQueued = options.maxQueued || this._concurrency * 2;
+	// the queues that have jobs waiting, in the order they will start them
+	this._waitingQueues = [];
+	this._running = 0;
+	this._queued = 0;
+	// resolve functions for `waitUntilReady()`
+	this._readyWaiters = [];
+	// see `getStats()`
+	this._startedCount = 0;
+	this._completedCount = 0;
+	this._failedCount = 0;
+	this._totalWaitTime = 0;
+	this._maxWaitTime = 0;
+}
+
+/**
+ * Create a queue to add jobs to.
+ * @param {Function} [onJobFinished] Called after each job from the queue has finished, with {success, duration, waitTime}.
+ *   `duration` is how long the job ran for and `waitTime` is how long it was queued for (ms).
+ * @return {JobQueue} The queue.
+ */
+FfmpegScheduler.prototype.createQueue = function(onJobFinished) {
+	return new JobQueue(this, onJobFinished || null);
+};
+
+/**
+ * Determine if there are so many jobs waiting that no more work should be started.
+ * @return {Boolean} true if the scheduler is saturated.
+ */
+FfmpegScheduler.prototype.isSaturated = function() {
+	return this._queued >= this._maxQueued;
+};
+
+/**
+ * Wait until the scheduler is not saturated.
+ * @return {Promise} Resolves once there are fewer than `maxQueued` jobs waiting.
+ */
+FfmpegScheduler.prototype.waitUntilReady = function() {
+	if (!this.isSaturated()) {
+		return Promise.resolve();
+	}
+	return new Promise((resolve) => {
+		this._readyWaiters.push(resolve);
+	});
+};
+
+/**
+ * @typedef SchedulerStats
+ * @type Object
+ * @property {Number} concurrency The maximum number of jobs that run at once.
+ * @property {Number} maxQueued The number of waiting jobs at which the scheduler is saturated.
+ * @property {Number} running The number of jobs running now.
+ * @property {Number} queued The number of jobs waiting now.
+ * @property {Boolean} saturated true if the scheduler is saturated.
+ * @property {Number} startedCount The number of jobs that have been started.
+ * @property {Number} completedCount The number of jobs that have finished successfully.
+ * @property {Number} failedCount The number of jobs that have failed.
+ * @property {Number} totalWaitTime The total time started jobs waited in the queue (ms).
+ * @property {Number|null} averageWaitTime The average time started jobs waited in the queue (ms), or null if none have started.
+ * @property {Number} maxWaitTime The longest time a started job waited in the queue (ms).
+ * @property {Number} oldestQueuedWaitTime How long the job that has been waiting the longest has been waiting so far (ms), or 0 if none are.
+ */
+
+/**
+ * Get statistics about the jobs.
+ * @return {SchedulerStats} The stats.
+ */
+FfmpegScheduler.prototype.getStats = function() {
+	var now = Date.now();
+	var oldestQueuedTime = now;
+	this._waitingQueues.forEach((queue) => {
+		oldestQueuedTime = Math.min(oldestQueuedTime, queue._jobs[0].queuedTime);
+	});
+	return {
+		concurrency: this._concurrency,
+		maxQueued: this._maxQueued,
+		running: this._running,
+		queued: this._queued,
+		saturated: this.isSaturated(),
+		startedCount: this._startedCount,
+		completedCount: this._completedCount,
+		failedCount: this._failedCount,
+		totalWaitTime: this._totalWaitTime,
+		averageWaitTime: this._startedCount > 0 ? this._totalWaitTime / this._startedCount : null,
+		maxWaitTime: this._maxWaitTime,
+		oldestQueuedWaitTime: now - oldestQueuedTime
+	};
+};
+
+FfmpegScheduler.prototype._add = function(queue, entry) {
+	queue._jobs.push(entry);
+	this._queued++;
+	if (queue._jobs.length === 1) {
+		this._waitingQueues.push(queue);
+	}
+	this._startJobs();
+};
+
+FfmpegScheduler.prototype._remove = function(queue) {
+	this._queued -= queue._jobs.length;
+	queue._jobs = [];
+	var index = this._waitingQueues.indexOf(queue);
+	if (index !== -1) {
+		this._waitingQueues.splice(index, 1);
+	}
+	this._resolveReadyWaiters();
+};
+
+FfmpegScheduler.prototype._startJobs = function() {
+	while (this._running < this._concurrency && this._waitingQueues.length > 0) {
+		// take a job from the queue at the front, and send it to the back if it has more
+		var queue = this._waitingQueues.shift();
+		var entry = queue._jobs.shift();
+		this._queued--;
+		if (queue._jobs.length > 0) {
+			this._waitingQueues.push(queue);
+		}
+		this._start(queue, entry);
+	}
+	this._resolveReadyWaiters();
+};
+
+FfmpegScheduler.prototype._start = function(queue, entry) {
+	var startTime = Date.now();
+	var waitTime = startTime - entry.queuedTime;
+	this._running++;
+	this._startedCount++;
+	this._totalWaitTime += waitTime;
+	this._maxWaitTime = Math.max(this._maxWaitTime, waitTime);
+	var finished = (success) => {
+		this._running--;
+		if (success) {
+			this._completedCount++;
+		}
+		else {
+			this._failedCount++;
+		}
+		if (queue._onJobFinished) {
+			queue._onJobFinished({
+				success: success,
+				duration: Date.now() - startTime,
+				waitTime: waitTime
+			});
+		}
+		this._startJobs();
+	};
+	Promise.resolve().then(() => {
+		return entry.job();
+	}).then((result) => {
+		finished(true);
+		entry.resolve(result);
+	}, (err) => {
+		finished(false);
+		entry.reject(err);
+	});
+};
+
+FfmpegScheduler.prototype._resolveReadyWaiters = function() {
+	if (this.isSaturated()) {
+		return;
+	}
+	var waiters = this._readyWaiters;
+	this._readyWaiters = [];
+	waiters.forEach((resolve) => {
+		resolve();
+	});
+};
+
+/**
+ * A queue of jobs for one generator. Create with `FfmpegScheduler#createQueue()`.
+ * @constructor
+ * @param {FfmpegScheduler} scheduler The scheduler.
+ * @param {Function|null} onJobFinished Called after each job has finished. See `FfmpegScheduler#createQueue()`.
+ */
+function JobQueue(scheduler, onJobFinished) {
+	this._scheduler = scheduler;
+	this._onJobFinished = onJobFinished;
+	// {job, resolve, reject, queuedTime}
+	this._jobs = [];
+	this._cancelled = false;
+}
+
+/**
+ * Run a job once the scheduler has a free slot.
+ * @param {Function} job Starts the job and returns a Promise which settles when it has finished.
+ * @return {Promise} Settles with the result of the job.
+ */
+JobQueue.prototype.run = function(job) {
+	if (this._cancelled) {
+		return Promise.reject(new Error("Queue cancelled."));
+	}
+	return new Promise((resolve, reject) => {
+		this._scheduler._add(this, {
+			job: job,
+			resolve: resolve,
+			reject: reject,
+			queuedTime: Date.now()
+		});
+	});
+};
+
+/**
+ * Run a fluent-ffmpeg command once the scheduler has a free slot.
+ * @param {Object} command The command, which should not have been started.
+ * @return {Promise} Resolves when ffmpeg has finished.
+ */
+JobQueue.prototype.runCommand = function(command) {
+	return this.run(() => {
+		return new Promise((resolve, reject) => {
+			command.on("end", () => {
+				resolve();
+			})
+			.on("error", (err) => {
+				reject(err);
+			}).run();
+		});
+	});
+};
+
+/**
+ * Get the number of jobs waiting in this queue.
+ * @return {Number} The number of jobs.
+ */
+JobQueue.prototype.getLength = function() {
+	return this._jobs.length;
+};
+
+/**
+ * Reject the jobs that are waiting, and any that are added after this. Jobs that are running are not stopped.
+ */
+JobQueue.prototype.cancel = function() {
+	if (this._cancelled) {
+		return;
+	}
+	this._cancelled = true;
+	var jobs = this._jobs;
+	this._scheduler._remove(this);
+	jobs.forEach((entry) => {
+		entry.reject(new Error("Queue cancelled."));
+	});
+};
+
+module.exports = FfmpegScheduler;
@@ -0,0 +1,87 @@
+var path = require("path");
+var utils = require("./utils");
+
+// used to give temporary files unique names
+var tempFileCount = 0;
+
+/**
+ * Stores files in a directory on the local filesystem.
+ * This is the default storage.
+ *
+ * A storage is an object with the following functions, which can be provided as the `storage` option instead:
+ * - `put(name, localFilePath)` store the local file with `name`. The local file will be removed. Returns a promise.
+ * - `delete(name)` remove the file with `name`. Returns a promise.
+ * - `getUrl(name)` get the url the file with `name` can be accessed at.
+ * - `get(name)` get the contents of the file with `name`. Returns a promise which resolves with a Buffer, or null if the file does not exist.
+ *   This is only needed to resume from an existing manifest.
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.dir The path to the directory to store the files in.
+ * @param {String} [options.baseUrl] The url the directory is accessible at. If omitted `getUrl()` will return just the name.
+ */
+function FileStorage(options) {
+	options = options || {};
+	if (!options.dir) {
+		throw new Error("dir must be provided.");
+	}
+	this._dir = options.dir;
+	this._baseUrl = options.baseUrl || "";
+}
+
+/**
+ * Move a local file into the directory. An existing file is replaced in one go, so it is never seen half written.
+ * @param {String} name The name of the file.
+ * @param {String} localFilePath The path to the local file. It will be moved.
+ * @return {Promise}
+ */
+FileStorage.prototype.put = function(name, localFilePath) {
+	var file = path.join(this._dir, name);
+	return utils.ensureExists(this._dir).then(() => {
+		return utils.rename(localFilePath, file).catch(() => {
+			// probably on a different filesystem, so copy it next to the destination first and then rename that
+			var tempFile = file+"."+process.pid+"-"+(++tempFileCount)+".tmp";
+			return utils.copy(localFilePath, tempFile).then(() => {
+				return utils.rename(tempFile, file);
+			}).catch((err) => {
+				utils.unlink(tempFile).catch(() => {});
+				throw err;
+			}).then(() => {
+				return utils.unlink(localFilePath);
+			});
+		});
+	});
+};
+
+/**
+ * Remove a file from the directory.
+ * @param {String} name The name of the file.
+ * @return {Promise}
+ */
+FileStorage.prototype.delete = function(name) {
+	return utils.verifiedUnlink(path.join(this._dir, name));
+};
+
+/**
+ * Read a file from the directory.
+ * @param {String} name The name of the file.
+ * @return {Promise.<Buffer|null>} The contents, or null if the file does not exist.
+ */
+FileStorage.prototype.get = function(name) {
+	return utils.readFile(path.join(this._dir, name)).catch((err) => {
+		if (err.code === "ENOENT") {
+			return null;
+		}
+		throw err;
+	});
+};
+
+/**
+ * Get the url for a file.
+ * @param {String} name The name of the file.
+ * @return {String} The url.
+ */
+FileStorage.prototype.getUrl = function(name) {
+	return this._baseUrl+name;
+};
+
+module.exports = FileStorage;
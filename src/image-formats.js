@@ -0,0 +1,106 @@
+var Ffmpeg = require("fluent-ffmpeg");
+
+// ffmpeg output options for each supported image format
+// quality is 0-100 (higher is better), or null to use the encoder default
+const formats = {
+	jpg: {
+		contentType: "image/jpeg",
+		getOutputOptions: (quality) => {
+			// qscale is 2-31 where lower is better
+			return quality === null ? [] : ["-q:v "+Math.round(31 - (quality / 100) * 29)];
+		}
+	},
+	png: {
+		contentType: "image/png",
+		// lossless so quality doesn't apply
+		getOutputOptions: () => {
+			return [];
+		}
+	},
+	webp: {
+		contentType: "image/webp",
+		getOutputOptions: (quality) => {
+			return ["-c:v libwebp"].concat(quality === null ? [] : ["-quality "+Math.round(quality)]);
+		}
+	},
+	avif: {
+		contentType: "image/avif",
+		getOutputOptions: (quality) => {
+			// crf is 0-63 where lower is better
+			return ["-c:v libaom-av1", "-still-picture 1"].concat(quality === null ? [] : ["-crf "+Math.round(63 - (quality / 100) * 63)]);
+		}
+	}
+};
+
+// lookups on `formats` must not find properties from the Object prototype, e.g. "toString"
+function isFormat(format) {
+	return typeof(format) === "string" && Object.prototype.hasOwnProperty.call(formats, format);
+}
+
+/**
+ * Check that the format and quality are supported.
+ * @param {String} format The image format.
+ * @param {Number|null} quality The quality from 0 to 100, or null for the default.
+ */
+function validate(format, quality) {
+	if (!isFormat(format)) {
+		throw new Error("format must be one of "+Object.keys(formats).join(", ")+".");
+	}
+	if (quality !== null && (typeof quality !== "number" || isNaN(quality) || quality < 0 || quality > 100)) {
+		throw new Error("quality must be a number from 0 to 100.");
+	}
+}
+
+/**
+ * Get the ffmpeg output options for a format.
+ * @param {String} format The image format.
+ * @param {Number|null} quality The quality from 0 to 100, or null for the default.
+ * @return {Array.<String>} The options.
+ */
+function getOutputOptions(format, quality) {
+	return formats[format].getOutputOptions(quality);
+}
+
+/**
+ * Get the content type for a file extension.
+ * @param {String} extension The extension without the ".".
+ * @return {String|null} The content type, or null if it is not an image format.
+ */
+function getContentType(extension) {
+	var format = extension.toLowerCase();
+	return isFormat(format) ? formats[format].contentType : null;
+}
+
+/**
+ * Get the dimensions of an image.
+ * @param {String} location The location of the image.
+ * @return {Promise.<Object>} {width, height} (px)
+ */
+function getDimensions(location) {
+	return new Promise((resolve, reject) => {
+		Ffmpeg.ffprobe(location, (err, data) => {
+			if (err) {
+				reject(err);
+				return;
+			}
+			var stream = data.streams.find((stream) => {
+				return stream.codec_type === "video";
+			});
+			if (!stream) {
+				reject(new Error("Unable to determine image dimensions."));
+				return;
+			}
+			resolve({
+				width: stream.width,
+				height: stream.height
+			});
+		});
+	});
+}
+
+module.exports = {
+	validate: validate,
+	getOutputOptions: getOutputOptions,
+	getContentType: getContentType,
+	getDimensions: getDimensions
+};
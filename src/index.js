@@ -1,9 +1,15 @@
 var ThumbnailGenerator = require("./thumbnail-generator");
 var SimpleThumbnailGenerator = require("./simple-thumbnail-generator");
 var ThumbnailGeneratorService = require("./thumbnail-generator-service");
+var FileStorage = require("./file-storage");
+var S3Storage = require("./s3-storage");
+var FfmpegScheduler = require("./ffmpeg-scheduler");
 
 module.exports = {
 	ThumbnailGenerator: ThumbnailGenerator,
 	SimpleThumbnailGenerator: SimpleThumbnailGenerator,
-	ThumbnailGeneratorService: ThumbnailGeneratorService
+	ThumbnailGeneratorService: ThumbnailGeneratorService,
+	FileStorage: FileStorage,
+	S3Storage: S3Storage,
+	FfmpegScheduler: FfmpegScheduler
 };
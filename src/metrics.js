@@ -0,0 +1,172 @@
+// the default histogram buckets (seconds)
+const defaultBuckets = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * A registry of metrics which can be rendered in the Prometheus text format.
+ * @constructor
+ */
+function Metrics() {
+	this._metrics = [];
+}
+
+/**
+ * Add a counter.
+ * @param {String} name The name of the metric.
+ * @param {String} help A description of the metric.
+ * @param {Array.<String>} [labelNames] The names of the labels. Defaults to none.
+ * @return {Object} The counter, with `inc(labels, [value])` where `labels` is an object of label values.
+ */
+Metrics.prototype.counter = function(name, help, labelNames) {
+	var metric = this._add(name, help, "counter", labelNames);
+	return {
+		inc: (labels, value) => {
+			var series = this._getSeries(metric, labels);
+			series.value += typeof(value) === "number" ? value : 1;
+		}
+	};
+};
+
+/**
+ * Add a gauge, which has its values collected when the metrics are rendered.
+ * @param {String} name The name of the metric.
+ * @param {String} help A description of the metric.
+ * @param {Array.<String>} labelNames The names of the labels.
+ * @param {Function} collect Returns an array of {labels, value}.
+ */
+Metrics.prototype.gauge = function(name, help, labelNames, collect) {
+	var metric = this._add(name, help, "gauge", labelNames);
+	metric.collect = collect;
+};
+
+/**
+ * Add a histogram.
+ * @param {String} name The name of the metric.
+ * @param {String} help A description of the metric.
+ * @param {Array.<String>} [labelNames] The names of the labels. Defaults to none.
+ * @param {Array.<Number>} [buckets] The upper bounds of the buckets, in ascending order. Defaults to buckets for durations in seconds.
+ * @return {Object} The histogram, with `observe(labels, value)` where `labels` is an object of label values.
+ */
+Metrics.prototype.histogram = function(name, help, labelNames, buckets) {
+	var metric = this._add(name, help, "histogram", labelNames);
+	metric.buckets = buckets || defaultBuckets;
+	return {
+		observe: (labels, value) => {
+			var series = this._getSeries(metric, labels);
+			metric.buckets.forEach((bucket, i) => {
+				if (value <= bucket) {
+					series.bucketCounts[i]++;
+				}
+			});
+			series.sum += value;
+			series.count++;
+		}
+	};
+};
+
+/**
+ * Remove the series which have a label with a value, e.g. when the thing they are for no longer exists.
+ * @param {String} labelName The name of the label.
+ * @param {String} value The value of the label.
+ */
+Metrics.prototype.removeSeries = function(labelName, value) {
+	this._metrics.forEach((metric) => {
+		Object.keys(metric.series).forEach((key) => {
+			if (metric.series[key].labels[labelName] === value) {
+				delete metric.series[key];
+			}
+		});
+	});
+};
+
+/**
+ * Render the metrics in the Prometheus text format.
+ * @return {String} The metrics.
+ */
+Metrics.prototype.render = function() {
+	var lines = [];
+	this._metrics.forEach((metric) => {
+		lines.push("# HELP "+metric.name+" "+metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+		lines.push("# TYPE "+metric.name+" "+metric.type);
+		if (metric.type === "gauge") {
+			metric.collect().forEach((sample) => {
+				lines.push(metric.name+this._formatLabels(sample.labels)+" "+this._formatValue(sample.value));
+			});
+			return;
+		}
+		Object.keys(metric.series).forEach((key) => {
+			var series = metric.series[key];
+			if (metric.type === "counter") {
+				lines.push(metric.name+this._formatLabels(series.labels)+" "+this._formatValue(series.value));
+				return;
+			}
+			metric.buckets.forEach((bucket, i) => {
+				lines.push(metric.name+"_bucket"+this._formatLabels(series.labels, {le: String(bucket)})+" "+series.bucketCounts[i]);
+			});
+			lines.push(metric.name+"_bucket"+this._formatLabels(series.labels, {le: "+Inf"})+" "+series.count);
+			lines.push(metric.name+"_sum"+this._formatLabels(series.labels)+" "+this._formatValue(series.sum));
+			lines.push(metric.name+"_count"+this._formatLabels(series.labels)+" "+series.count);
+		});
+	});
+	return lines.join("\n")+"\n";
+};
+
+Metrics.prototype._add = function(name, help, type, labelNames) {
+	var metric = {
+		name: name,
+		help: help,
+		type: type,
+		labelNames: labelNames || [],
+		// keyed by the label values
+		series: {}
+	};
+	this._metrics.push(metric);
+	return metric;
+};
+
+// get the series for the label values, creating it if it doesn't exist
+Metrics.prototype._getSeries = function(metric, labels) {
+	labels = labels || {};
+	var key = JSON.stringify(metric.labelNames.map((labelName) => {
+		if (typeof(labels[labelName]) === "undefined") {
+			throw new Error("Missing label \""+labelName+"\" for "+metric.name+".");
+		}
+		return String(labels[labelName]);
+	}));
+	if (!metric.series[key]) {
+		var seriesLabels = {};
+		metric.labelNames.forEach((labelName) => {
+			seriesLabels[labelName] = String(labels[labelName]);
+		});
+		metric.series[key] = {
+			labels: seriesLabels,
+			value: 0,
+			bucketCounts: metric.buckets ? metric.buckets.map(() => 0) : null,
+			sum: 0,
+			count: 0
+		};
+	}
+	return metric.series[key];
+};
+
+Metrics.prototype._formatLabels = function(labels, extraLabels) {
+	var all = Object.assign({}, labels, extraLabels);
+	var names = Object.keys(all);
+	if (names.length === 0) {
+		return "";
+	}
+	return "{"+names.map((name) => {
+		return name+"=\""+String(all[name]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")+"\"";
+	}).join(",")+"}";
+};
+
+Metrics.prototype._formatValue = function(value) {
+	if (value === Infinity) {
+		return "+Inf";
+	}
+	if (value === -Infinity) {
+		return "-Inf";
+	}
+	return isNaN(value) ? "NaN" : String(value);
+};
+
+module.exports = Metrics;
@@ -0,0 +1,150 @@
+var request = require("request");
+var crypto = require("crypto");
+var path = require("path");
+var utils = require("./utils");
+var imageFormats = require("./image-formats");
+
+const contentTypes = {
+	".json": "application/json",
+	".vtt": "text/vtt"
+};
+
+/**
+ * Stores files in a bucket with an S3 compatible API, e.g. AWS S3 or MinIO.
+ * Requests are signed with AWS signature version 4. The region is determined from the endpoint host
+ * if it is an amazonaws.com host, otherwise it will be "us-east-1".
+ * Objects are addressed with path style urls: [endpoint]/[bucket]/[prefix][name]
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.endpoint The url of the API, e.g. "https://s3.eu-west-1.amazonaws.com" or "http://localhost:9000".
+ * @param {String} options.bucket The name of the bucket.
+ * @param {String} options.accessKeyId The access key id.
+ * @param {String} options.secretAccessKey The secret access key.
+ * @param {String} [options.prefix] This will be prepended to the object keys. Defaults to "".
+ * @param {String} [options.publicUrl] The url the objects are publicly accessible at, e.g. a CDN. `getUrl()` will return this followed by the object key.
+ *   Defaults to the object url on the endpoint.
+ * @param {String} [options.acl] A canned ACL to apply to uploaded objects, e.g. "public-read".
+ */
+function S3Storage(options) {
+	options = options || {};
+	["endpoint", "bucket", "accessKeyId", "secretAccessKey"].forEach((name) => {
+		if (!options[name]) {
+			throw new Error(name+" must be provided.");
+		}
+	});
+	this._endpoint = options.endpoint.replace(/\/+$/, "");
+	this._bucket = options.bucket;
+	this._accessKeyId = options.accessKeyId;
+	this._secretAccessKey = options.secretAccessKey;
+	this._prefix = options.prefix || "";
+	this._publicUrl = options.publicUrl || null;
+	this._acl = options.acl || null;
+}
+
+/**
+ * Upload a local file.
+ * @param {String} name The name of the file.
+ * @param {String} localFilePath The path to the local file. It will be removed once uploaded.
+ * @return {Promise}
+ */
+S3Storage.prototype.put = function(name, localFilePath) {
+	return utils.readFile(localFilePath).then((data) => {
+		var headers = {
+			"Content-Type": this._getContentType(name),
+			"Content-Length": data.length
+		};
+		if (this._acl) {
+			headers["x-amz-acl"] = this._acl;
+		}
+		return this._request("PUT", name, headers, data);
+	}).then(() => {
+		return utils.unlink(localFilePath);
+	});
+};
+
+/**
+ * Delete an object. Succeeds if the object does not exist.
+ * @param {String} name The name of the file.
+ * @return {Promise}
+ */
+S3Storage.prototype.delete = function(name) {
+	return this._request("DELETE", name, {}, null).catch((err) => {
+		if (!(err instanceof utils.BadStatusCodeException && err.extra === 404)) {
+			throw err;
+		}
+	});
+};
+
+/**
+ * Download an object.
+ * @param {String} name The name of the file.
+ * @return {Promise.<Buffer|null>} The contents, or null if the object does not exist.
+ */
+S3Storage.prototype.get = function(name) {
+	return this._request("GET", name, {}, null).catch((err) => {
+		if (err instanceof utils.BadStatusCodeException && err.extra === 404) {
+			return null;
+		}
+		throw err;
+	});
+};
+
+/**
+ * Get the public url for a file.
+ * @param {String} name The name of the file.
+ * @return {String} The url.
+ */
+S3Storage.prototype.getUrl = function(name) {
+	if (this._publicUrl) {
+		return this._publicUrl+this._prefix+name;
+	}
+	return this._getObjectUrl(name);
+};
+
+S3Storage.prototype._getContentType = function(name) {
+	var extension = path.extname(name).toLowerCase();
+	return contentTypes[extension] || imageFormats.getContentType(extension.slice(1)) || "application/octet-stream";
+};
+
+S3Storage.prototype._getObjectUrl = function(name) {
+	var key = (this._prefix+name).split("/").map(encodeURIComponent).join("/");
+	return this._endpoint+"/"+encodeURIComponent(this._bucket)+"/"+key;
+};
+
+S3Storage.prototype._request = function(method, name, headers, body) {
+	return new Promise((resolve, reject) => {
+		var options = {
+			method: method,
+			url: this._getObjectUrl(name),
+			headers: Object.assign({
+				// required by S3 for signature version 4
+				"x-amz-content-sha256": crypto.createHash("sha256").update(body || "").digest("hex")
+			}, headers),
+			aws: {
+				key: this._accessKeyId,
+				secret: this._secretAccessKey,
+				sign_version: 4,
+				service: "s3"
+			},
+			// get the response body as a buffer
+			encoding: null,
+			timeout: 15000
+		};
+		if (body) {
+			options.body = body;
+		}
+		request(options, (err, res, responseBody) => {
+			if (err) {
+				reject(err);
+				return;
+			}
+			if (res.statusCode < 200 || res.statusCode >= 300) {
+				reject(new utils.BadStatusCodeException(res.statusCode));
+				return;
+			}
+			resolve(responseBody);
+		});
+	});
+};
+
+module.exports = S3Storage;
@@ -0,0 +1,133 @@
+const attributeRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+/**
+ * Find the tags that apply to each segment in a media playlist.
+ * The m3u8 parser does not keep track of tags like EXT-X-MAP which apply to all the segments that follow them,
+ * so this goes through the playlist line by line.
+ * @param {String} playlist The media playlist.
+ * @return {Array.<Object>} An entry for each segment in the playlist, in order, with the following properties
+ * - `byteRange` {length, offset} from the EXT-X-BYTERANGE tag for the segment, or null. Implicit offsets are calculated.
+ * - `discontinuity` true if the segment has an EXT-X-DISCONTINUITY tag before it.
+ * - `discontinuitySequence` the discontinuity sequence number of the segment, from EXT-X-DISCONTINUITY-SEQUENCE
+ *   and the number of EXT-X-DISCONTINUITY tags before it.
+ * - `programDateTime` the time in ms from the EXT-X-PROGRAM-DATE-TIME tag for the segment, or null.
+ * - `map` {uri, byteRange, key} from the EXT-X-MAP tag that applies to the segment, or null.
+ *   `key` is the key that applies to the init segment.
+ * - `key` {method, uri, iv} from the EXT-X-KEY tag that applies to the segment, or null if the segment is not encrypted.
+ *   `iv` is a hex string, or null if the IV should be derived from the sequence number.
+ */
+function parseSegmentTags(playlist) {
+	var segmentTags = [];
+	var map = null;
+	var key = null;
+	var byteRange = null;
+	var programDateTime = null;
+	var discontinuity = false;
+	var discontinuitySequence = 0;
+	// {uri, end} of the previous segment, for calculating implicit byte range offsets
+	var previousSegment = null;
+	playlist.split(/\r?\n/).forEach((line) => {
+		line = line.trim();
+		if (!line) {
+			return;
+		}
+		if (line.indexOf("#") !== 0) {
+			// this is a segment uri
+			if (byteRange && byteRange.offset === null) {
+				// the range starts after the previous segment's range
+				byteRange.offset = previousSegment && previousSegment.uri === line ? previousSegment.end : 0;
+			}
+			segmentTags.push({
+				discontinuity: discontinuity,
+				discontinuitySequence: discontinuitySequence,
+				byteRange: byteRange,
+				programDateTime: programDateTime,
+				map: map,
+				key: key
+			});
+			previousSegment = {
+				uri: line,
+				end: byteRange ? byteRange.offset + byteRange.length : null
+			};
+			byteRange = null;
+			programDateTime = null;
+			discontinuity = false;
+			return;
+		}
+
+		var separatorIndex = line.indexOf(":");
+		var tag = separatorIndex === -1 ? line.slice(1) : line.slice(1, separatorIndex);
+		var value = separatorIndex === -1 ? "" : line.slice(separatorIndex+1);
+		if (tag === "EXT-X-MAP") {
+			var attributes = parseAttributes(value);
+			map = {
+				uri: attributes.URI || null,
+				byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, 0) : null,
+				key: key
+			};
+		}
+		else if (tag === "EXT-X-BYTERANGE") {
+			byteRange = parseByteRange(value, null);
+		}
+		else if (tag === "EXT-X-DISCONTINUITY-SEQUENCE") {
+			discontinuitySequence = parseInt(value) || 0;
+		}
+		else if (tag === "EXT-X-DISCONTINUITY") {
+			discontinuity = true;
+			discontinuitySequence++;
+		}
+		else if (tag === "EXT-X-PROGRAM-DATE-TIME") {
+			var time = new Date(value).getTime();
+			programDateTime = isNaN(time) ? null : time;
+		}
+		else if (tag === "EXT-X-KEY") {
+			var keyAttributes = parseAttributes(value);
+			var method = keyAttributes.METHOD || "NONE";
+			key = method === "NONE" ? null : {
+				method: method,
+				uri: keyAttributes.URI || null,
+				iv: keyAttributes.IV ? keyAttributes.IV.replace(/^0x/i, "") : null
+			};
+		}
+	});
+	return segmentTags;
+}
+
+/**
+ * Parse a byte range, e.g. "720@0".
+ * @param {String} value The byte range in the form "<length>[@<offset>]".
+ * @param {Number|null} defaultOffset The offset to use if there isn't one.
+ * @return {Object} {length, offset}
+ */
+function parseByteRange(value, defaultOffset) {
+	var parts = value.split("@");
+	return {
+		length: parseInt(parts[0]),
+		offset: parts.length > 1 ? parseInt(parts[1]) : defaultOffset
+	};
+}
+
+/**
+ * Parse an attribute list, e.g. 'URI="init.mp4",BYTERANGE="720@0"'.
+ * @param {String} value The attribute list.
+ * @return {Object} The attributes keyed by name. Quotes are removed from quoted strings.
+ */
+function parseAttributes(value) {
+	var attributes = {};
+	var match;
+	attributeRegex.lastIndex = 0;
+	while ((match = attributeRegex.exec(value)) !== null) {
+		var attributeValue = match[2];
+		if (attributeValue.charAt(0) === '"') {
+			attributeValue = attributeValue.slice(1, -1);
+		}
+		attributes[match[1]] = attributeValue;
+	}
+	return attributes;
+}
+
+module.exports = {
+	parseSegmentTags: parseSegmentTags,
+	parseAttributes: parseAttributes,
+	parseByteRange: parseByteRange
+};
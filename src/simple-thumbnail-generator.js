@@ -4,15 +4,25 @@ var ee = require("event-emitter");
 var ThumbnailGenerator = require("./thumbnail-generator");
 var utils = require("./utils");
 var nullLogger = require("./null-logger");
+var FileStorage = require("./file-storage");
+
+// used to give temporary files unique names
+var tempFileCount = 0;
 
 /**
  * Starts generating the thumbnails using the configuration in `generatorOptions`.
  * Removes thumbnails when they their segments are removed from the playlist after `expireTime` seconds.
+ * The manifest is written to the same storage as the thumbnails, the `storage` option of `ThumbnailGenerator`.
  * @constructor
  * @param {Object} options
  * @param {String} options.manifestFileName The name for the manifest file.
  * @param {Number} [options.expireTime] The time in seconds to keep thumbnails for before deleting them, once their segments have left the playlist. Defaults to 0.
  * @param {Number} [options.neverDelete] Keep all thumbnails and the manifest around forever. Cannot be used with `expireTime`. Defaults to `false`.
+ * @param {String} [options.webvttFileName] If provided a WebVTT thumbnails track will also be written with this name, and kept in sync with the manifest.
+ * @param {String} [options.webvttBaseUrl] This will be prepended to the thumbnail names in the WebVTT file. If omitted the url from the storage is used,
+ *   which for the default storage is just the name, so relative to the WebVTT file.
+ * @param {Boolean} [options.resume] If there is already a manifest with `manifestFileName` in the storage, continue from where it left off instead of starting again.
+ *   The storage must have a `get` function. Defaults to false.
  * @param {Number} [options.logger] An object with `debug`, `info`, `warn` and `error` functions, or null, to disable logging.
  * @param {Object} [generatorOptions] Configuraton for `ThumbnailGenerator`.
  */
@@ -41,6 +51,8 @@ function SimpleThumbnailGenerator(options, generatorOptions) {
 	}
 	this._generatorOptions = generatorOptions;
 	this._manifestFileName = options.manifestFileName;
+	this._webvttFileName = options.webvttFileName || null;
+	this._webvttBaseUrl = typeof(options.webvttBaseUrl) === "string" ? options.webvttBaseUrl : null;
 	this._neverDelete = options.neverDelete;
 	this._expireTime = options.neverDelete ? Infinity : options.expireTime || 0;
 	this._segmentRemovalTimes = {
@@ -52,18 +64,38 @@ function SimpleThumbnailGenerator(options, generatorOptions) {
 	// {sn, thumbnails, removalTime}
 	// thumbnails is array of {time, name}
 	this._segments = [];
+	// {start, duration} keyed by sn, for the segments in the playlist and the segments with thumbnails
+	// start is the time since the first segment that was seen
+	this._segmentTimes = {};
+	// {sn, start, duration} of the last segment that was seen
+	this._lastSegmentTime = null;
 	this._playlistRemoved = false;
 	this._playlistEnded = false;
 	this._updating = false;
 	this._updateQueued = false;
+	// if the user doesn't provide a temp directory get a general one
+	this._tempDir = generatorOptions.tempDir || utils.getTempDir();
+	var storage = generatorOptions.storage || (generatorOptions.outputDir ? new FileStorage({
+		dir: generatorOptions.outputDir
+	}) : null);
+	if (options.resume && storage && typeof(storage.get) !== "function") {
+		throw new Error("The storage must have a get function to resume.");
+	}
+	// resolves with the location of the last thumbnail once the existing manifest has been loaded, or null
+	var loaded = options.resume && storage ? this._loadManifest(storage) : Promise.resolve(null);
 	this._generator = new ThumbnailGenerator(Object.assign({}, generatorOptions, {
-		// if the user doesn't provide a temp directory get a general one
-		tempDir: generatorOptions.tempDir || utils.getTempDir()
+		tempDir: this._tempDir,
+		storage: storage,
+		resumeFrom: loaded
 	}));
+	this._storage = this._generator.getStorage();
 	this._gcTimerId = setInterval(this._gc.bind(this), 30000);
 	this._emitter = ee({});
 	this._registerGeneratorListeners();
-	this._updateManifest();
+	loaded.then(() => {
+		// don't overwrite the existing manifest until it has been loaded
+		this._updateManifest();
+	});
 }
 
 /**
@@ -74,6 +106,10 @@ function SimpleThumbnailGenerator(options, generatorOptions) {
  * - `newThumbnail` when there is a new thumbnail. The second argument is the thumbnail.
  * - `thumbnailRemoved` when a thumbnail is removed. The second argument is the thumbnail.
  * - `playlistEnded` when the playlist has ended and all thumbnails have been generated.
+ * - `variantSelected` when a variant has been picked from a master playlist. The second argument is the variant.
+ * - `frameRejected` when a frame is skipped because it is black, uniform or frozen. The second argument has `sn`, `time` and `reason`.
+ * - `mediaSequenceReset` when the media sequence number of the playlist has gone backwards. See `ThumbnailGenerator`.
+ * - `playlistRequest`, `segmentRequest` and `ffmpegRun` from `ThumbnailGenerator`, for monitoring.
  * - `manifestUpdated` event whenever the manifest is updated.
  * 	 There will be one of these after each of the above events, once the file is written.
  * - `finished` when the stream has been removed and all thumbnails have expired. If neverDelete option used
@@ -96,21 +132,19 @@ SimpleThumbnailGenerator.prototype.destroy = function(doNotDeleteFiles) {
 	}
 	this._destroyed = true;
 	if (!doNotDeleteFiles) {
-		this._segments.forEach((segment) => {
-			segment.thumbnails.forEach((thumbnail) => {
-				var file = path.join(this._generatorOptions.outputDir, thumbnail.name);
-				return utils.verifiedUnlink(file).then(() => {
-					this._logger.debug("Thumbnail deleted.", file);
-				}).catch((err) => {
-					this._logger.error("Error trying to delete thumbnail.", file, err.stack);
-				});
+		this.getFileNames().forEach((fileName) => {
+			return this._storage.delete(fileName).then(() => {
+				this._logger.debug("Thumbnail deleted.", fileName);
+			}).catch((err) => {
+				this._logger.error("Error trying to delete thumbnail.", fileName, err.stack);
 			});
 		});
-		var manifestFile = path.join(this._generatorOptions.outputDir, this._manifestFileName);
-		utils.verifiedUnlink(manifestFile).then(() => {
-			this._logger.debug("Manifest deleted.");
-		}).catch((err) => {
-			this._logger.error("Error deleting manifest.", err);
+		this._getOutputFileNames().forEach((fileName) => {
+			this._storage.delete(fileName).then(() => {
+				this._logger.debug("Manifest deleted.", fileName);
+			}).catch((err) => {
+				this._logger.error("Error deleting manifest.", fileName, err);
+			});
 		});
 	}
 	clearInterval(this._gcTimerId);
@@ -122,6 +156,9 @@ SimpleThumbnailGenerator.prototype.destroy = function(doNotDeleteFiles) {
  * @type Object
  * @property {Number} sn The sequence number of the segment.
  * @property {Number|null} removalTime The time the segment was removed from the playlist.
+ * @property {Number|null} startTime The time the segment starts at, in seconds since the start of the first segment that was seen, or null if it isn't known.
+ *   These are the times in the WebVTT track.
+ * @property {Number|null} duration The duration of the segment (seconds), or null if it isn't known.
  * @property {Array.<Thumbnail>} thumbnails The thumbnails for this segment. 
  */
 
@@ -130,6 +167,20 @@ SimpleThumbnailGenerator.prototype.destroy = function(doNotDeleteFiles) {
  * @type Object
  * @property {String} name The name of the file.
  * @property {Number} time The time into the segment that the thumbnail was taken. 
+ * @property {Number} discontinuitySequence The discontinuity sequence number of the segment.
+ * @property {String} [programDateTime] The wall clock time the thumbnail was taken at as an ISO string, if the playlist has EXT-X-PROGRAM-DATE-TIME tags.
+ * @property {Object} [sprite] If sprite sheets are enabled, the location of the thumbnail in the sheet with `name`. Has `x`, `y`, `w` and `h` properties (px).
+ * @property {Number} [sceneScore] In scene change mode, how different the frame was to the previous one from 0 to 1.
+ * @property {Array.<Rendition>} renditions The thumbnail in each of the sizes. `name` and `sprite` are the same as the first one.
+ */
+
+/**
+ * @typedef Rendition
+ * @type Object
+ * @property {String} name The name of the file.
+ * @property {Number} width The width of the thumbnail (px).
+ * @property {Number} height The height of the thumbnail (px).
+ * @property {Object} [sprite] If sprite sheets are enabled, the location of the thumbnail in the sheet with `name`. Has `x`, `y`, `w` and `h` properties (px).
  */
 
 /**
@@ -138,9 +189,12 @@ SimpleThumbnailGenerator.prototype.destroy = function(doNotDeleteFiles) {
  */
 SimpleThumbnailGenerator.prototype.getThumbnails = function() {
 	return this._segments.map((segment) => {
+		var segmentTime = this._segmentTimes[segment.sn];
 		return {
 			sn: segment.sn,
-			removalTime: segment.removalTime,
+			removalTime: this._getRemovalTime(segment.sn),
+			startTime: segmentTime ? segmentTime.start : null,
+			duration: segmentTime ? segmentTime.duration : null,
 			thumbnails: segment.thumbnails.slice(0)
 		};
 	});
@@ -156,6 +210,82 @@ SimpleThumbnailGenerator.prototype.getThumbnailsForSn = function(sn) {
 	return thumbnails && thumbnails.slice(0);
 };
 
+/**
+ * Get the variant that was picked from the master playlist.
+ * @return {Variant|null} The variant, or null if the playlist was not a master playlist or it hasn't been loaded yet.
+ */
+SimpleThumbnailGenerator.prototype.getVariant = function() {
+	return this._generator.getVariant();
+};
+
+/**
+ * Get the contents of the manifest file.
+ * @return {Object} {segments, ended} where segments is an array of `Segment`s.
+ */
+SimpleThumbnailGenerator.prototype.getManifest = function() {
+	return {
+		segments: this.getThumbnails(),
+		ended: this._playlistEnded
+	};
+};
+
+/**
+ * Get the contents of the WebVTT file.
+ * @return {String|null} The WebVTT track, or null if the `webvttFileName` option wasn't provided.
+ */
+SimpleThumbnailGenerator.prototype.getWebvtt = function() {
+	return this._webvttFileName ? this._buildWebvtt() : null;
+};
+
+/**
+ * Get the names of the files for the current thumbnails, including sprite sheets.
+ * @return {Array.<String>} The file names.
+ */
+SimpleThumbnailGenerator.prototype.getFileNames = function() {
+	var fileNames = [];
+	this._segments.forEach((segment) => {
+		segment.thumbnails.forEach((thumbnail) => {
+			this._getThumbnailFileNames(thumbnail).forEach((fileName) => {
+				if (fileNames.indexOf(fileName) === -1) {
+					// thumbnails in the same sprite sheet share a file
+					fileNames.push(fileName);
+				}
+			});
+		});
+	});
+	return fileNames;
+};
+
+/**
+ * Get the storage the thumbnails and manifest are written to.
+ * @return {Object} The storage.
+ */
+SimpleThumbnailGenerator.prototype.getStorage = function() {
+	return this._storage;
+};
+
+/**
+ * Get the options the `ThumbnailGenerator` is using, including the defaults. See `ThumbnailGenerator#getOptions()`.
+ * @return {Object} The options.
+ */
+SimpleThumbnailGenerator.prototype.getOptions = function() {
+	return this._generator.getOptions();
+};
+
+/**
+ * Get statistics about what the generator has done.
+ * @return {Object} The `Stats` from `ThumbnailGenerator#getStats()`, with `thumbnailCount`, the number of thumbnails there are now.
+ */
+SimpleThumbnailGenerator.prototype.getStats = function() {
+	var thumbnailCount = 0;
+	this._segments.forEach((segment) => {
+		thumbnailCount += segment.thumbnails.length;
+	});
+	return Object.assign({
+		thumbnailCount: thumbnailCount
+	}, this._generator.getStats());
+};
+
 /**
  * Determine if the playlist has ended and there will be no more thumbnails.
  * @return {Boolean} true if there will be no more thumbnails.
@@ -171,15 +301,26 @@ SimpleThumbnailGenerator.prototype._registerGeneratorListeners = function() {
 		this.destroy(this._neverDelete);
 	});
 
+	this._generator.getEmitter().on("variantSelected", (variant) => {
+		this._emit("variantSelected", variant);
+	});
+
+	["frameRejected", "mediaSequenceReset", "playlistRequest", "segmentRequest", "ffmpegRun"].forEach((event) => {
+		this._generator.getEmitter().on(event, (data) => {
+			this._emit(event, data);
+		});
+	});
+
 	this._generator.getEmitter().on("playlistChanged", (playlist) => {
-		var properties = playlist.properties;
-		var firstSn = properties.mediaSequence || 0;
+		var firstSn = playlist.firstSn;
 		if (this._segmentRemovalTimes.offset === null) {
 			// this will be the index of the first segment to be removed, when this happens
 			this._segmentRemovalTimes.offset = firstSn;
 		}
 
 		this._markSegmentsAsRemoved(firstSn-1);
+		this._updateSegmentTimes(firstSn, playlist.segments);
+		this._pruneSegmentTimes(firstSn);
 	});
 
 	this._generator.getEmitter().on("playlistEnded", () => {
@@ -191,7 +332,7 @@ SimpleThumbnailGenerator.prototype._registerGeneratorListeners = function() {
 	this._generator.getEmitter().on("playlistRemoved", () => {
 		this._playlistRemoved = true;
 		var playlist = this._generator.getPlaylist();
-		var firstSn = playlist.properties.mediaSequence || 0;
+		var firstSn = playlist.firstSn;
 		var lastSn = firstSn + playlist.segments.length - 1;
 		this._markSegmentsAsRemoved(lastSn);
 	});
@@ -201,12 +342,23 @@ SimpleThumbnailGenerator.prototype._registerGeneratorListeners = function() {
 			// this segment has expired
 			return;
 		}
-		var now = Date.now();
 		var thumbnails = this._getSnThumbnails(thumbnail.sn, true);
-		thumbnails.push({
+		var newThumbnail = {
 			time: thumbnail.time,
-			name: thumbnail.name
-		});
+			name: thumbnail.name,
+			discontinuitySequence: thumbnail.discontinuitySequence
+		};
+		if (thumbnail.sprite) {
+			newThumbnail.sprite = thumbnail.sprite;
+		}
+		if (thumbnail.programDateTime) {
+			newThumbnail.programDateTime = thumbnail.programDateTime;
+		}
+		if (typeof(thumbnail.sceneScore) === "number") {
+			newThumbnail.sceneScore = thumbnail.sceneScore;
+		}
+		newThumbnail.renditions = thumbnail.renditions;
+		thumbnails.push(newThumbnail);
 		// sort so that time is ascending
 		thumbnails.sort((a, b) => {
 			return a.time-b.time;
@@ -219,6 +371,93 @@ SimpleThumbnailGenerator.prototype._registerGeneratorListeners = function() {
 	});
 };
 
+// the time the segment was removed from the playlist, or null if it hasn't been
+SimpleThumbnailGenerator.prototype._getRemovalTime = function(sn) {
+	var offset = this._segmentRemovalTimes.offset;
+	var times = this._segmentRemovalTimes.times;
+	if (offset === null || sn < offset || sn - offset >= times.length) {
+		return null;
+	}
+	return times[sn - offset];
+};
+
+// load the manifest from storage and rebuild the state from it
+// resolves with the {sn, time} of the last thumbnail, or null if there is no manifest or it couldn't be loaded
+SimpleThumbnailGenerator.prototype._loadManifest = function(storage) {
+	return storage.get(this._manifestFileName).then((data) => {
+		if (!data) {
+			this._logger.debug("No manifest to resume from.");
+			return null;
+		}
+		return this._restoreFromManifest(JSON.parse(data.toString()));
+	}).catch((err) => {
+		this._logger.error("Error loading manifest to resume from.", err.stack);
+		return null;
+	});
+};
+
+SimpleThumbnailGenerator.prototype._restoreFromManifest = function(manifest) {
+	var segments = (manifest.segments || []).filter((segment) => {
+		return segment.thumbnails && segment.thumbnails.length > 0;
+	}).sort((a, b) => {
+		return a.sn - b.sn;
+	});
+	this._playlistEnded = !!manifest.ended;
+	this._segments = segments.map((segment) => {
+		return {
+			sn: segment.sn,
+			thumbnails: segment.thumbnails
+		};
+	});
+	// restore the times so that the resumed thumbnails are in the WebVTT track, and new segments continue from them
+	segments.forEach((segment) => {
+		if (typeof(segment.startTime) === "number" && typeof(segment.duration) === "number") {
+			this._segmentTimes[segment.sn] = {
+				start: segment.startTime,
+				duration: segment.duration
+			};
+			this._lastSegmentTime = {
+				sn: segment.sn,
+				start: segment.startTime,
+				duration: segment.duration
+			};
+		}
+	});
+	if (segments.length === 0) {
+		return null;
+	}
+
+	// segments before the first one in the manifest have already expired
+	var offset = segments[0].sn;
+	var times = [];
+	var removedSegments = segments.filter((segment) => {
+		return typeof(segment.removalTime) === "number";
+	});
+	if (removedSegments.length > 0) {
+		var lastRemovedSn = removedSegments[removedSegments.length-1].sn;
+		for (var sn=offset; sn<=lastRemovedSn; sn++) {
+			// segments without thumbnails aren't in the manifest, but they were removed before the next one that is
+			times.push(removedSegments.find((segment) => {
+				return segment.sn >= sn;
+			}).removalTime);
+		}
+	}
+	this._segmentRemovalTimes = {
+		offset: offset,
+		times: times
+	};
+	this._logger.debug("Resumed from manifest.", segments.length+" segments");
+
+	var lastSegment = segments[segments.length-1];
+	var lastThumbnail = lastSegment.thumbnails.reduce((last, thumbnail) => {
+		return thumbnail.time > last.time ? thumbnail : last;
+	});
+	return {
+		sn: lastSegment.sn,
+		time: lastThumbnail.time
+	};
+};
+
 SimpleThumbnailGenerator.prototype._markSegmentsAsRemoved = function(lastRemovedSn) {
 	var offset = this._segmentRemovalTimes.offset;
 	// add entries for fragments that have just been removed
@@ -234,9 +473,46 @@ SimpleThumbnailGenerator.prototype._markSegmentsAsRemoved = function(lastRemoved
 	}
 };
 
+SimpleThumbnailGenerator.prototype._updateSegmentTimes = function(firstSn, segments) {
+	segments.forEach((segment, i) => {
+		var sn = firstSn + i;
+		var last = this._lastSegmentTime;
+		if (this._segmentTimes[sn] || (last && sn <= last.sn)) {
+			// already known, or before the last segment that was seen, e.g. after resuming
+			// thumbnails are only taken after that one
+			return;
+		}
+		// continue from the end of the last segment, even if segments were missed between reloads, so that the times never go backwards
+		var segmentTime = {
+			start: last ? last.start + last.duration : 0,
+			duration: segment.properties.duration
+		};
+		this._segmentTimes[sn] = segmentTime;
+		this._lastSegmentTime = {
+			sn: sn,
+			start: segmentTime.start,
+			duration: segmentTime.duration
+		};
+	});
+};
+
+// forget the times of segments that have left the playlist without any thumbnails
+SimpleThumbnailGenerator.prototype._pruneSegmentTimes = function(firstSn) {
+	var snsWithThumbnails = this._segments.map((segment) => {
+		return segment.sn;
+	});
+	Object.keys(this._segmentTimes).forEach((key) => {
+		var sn = parseInt(key, 10);
+		if (sn < firstSn && snsWithThumbnails.indexOf(sn) === -1) {
+			delete this._segmentTimes[sn];
+		}
+	});
+};
+
 SimpleThumbnailGenerator.prototype._gc = function() {
 	if (!this._neverDelete && this._expireTime < Infinity) {
-		var expireTime = Date.now() + (this._expireTime*1000);
+		// segments removed before this time have expired
+		var expireTime = Date.now() - (this._expireTime*1000);
 
 		var highestExpiredSegmentSn = null;
 		var offset = this._segmentRemovalTimes.offset;
@@ -251,54 +527,91 @@ SimpleThumbnailGenerator.prototype._gc = function() {
 		if (highestExpiredSegmentSn !== null) {
 			this._segmentRemovalTimes.offset = highestExpiredSegmentSn+1;
 
+			var expiredThumbnails = [];
 			this._segments = this._segments.filter((segment) => {
 				if (segment.sn <= highestExpiredSegmentSn) {
 					this._logger.debug("Segment expired.", segment.sn);
-					segment.thumbnails.forEach((thumbnail) => {
-						var file = path.join(this._generatorOptions.outputDir, thumbnail.name);
-						return utils.verifiedUnlink(file).then(() => {
-							this._logger.debug("Thumbnail deleted.", file);
-							this._updateManifest();
-							this._emit("thumbnailRemoved". thumbnail);
-							this._emit("thumbnailsChanged");
-						}).catch((err) => {
-							this._logger.error("Error trying to delete thumbnail.", file, err.stack);
-						});
-					});
+					delete this._segmentTimes[segment.sn];
+					expiredThumbnails = expiredThumbnails.concat(segment.thumbnails);
 					return false;
 				}
 				return true;
 			});
+			this._removeThumbnails(expiredThumbnails);
 		}
 	}
 
 	if (this._playlistRemoved && (this._neverDelete || this._segments.length === 0)) {
-		this.destroy(this._neverDelete);
+		// emitted first because no events are emitted once destroyed
 		this._emit("finished");
+		this.destroy(this._neverDelete);
 	}
 };
 
+// delete the files for thumbnails that have expired
+// a sprite sheet is only deleted once none of the remaining thumbnails are in it
+SimpleThumbnailGenerator.prototype._removeThumbnails = function(thumbnails) {
+	var namesInUse = [];
+	this._segments.forEach((segment) => {
+		segment.thumbnails.forEach((thumbnail) => {
+			namesInUse = namesInUse.concat(this._getThumbnailFileNames(thumbnail));
+		});
+	});
+	var namesToDelete = [];
+	thumbnails.forEach((thumbnail) => {
+		this._getThumbnailFileNames(thumbnail).forEach((name) => {
+			if (namesInUse.indexOf(name) === -1 && namesToDelete.indexOf(name) === -1) {
+				namesToDelete.push(name);
+			}
+		});
+	});
+	Promise.all(namesToDelete.map((name) => {
+		return this._storage.delete(name).then(() => {
+			this._logger.debug("Thumbnail deleted.", name);
+		}).catch((err) => {
+			this._logger.error("Error trying to delete thumbnail.", name, err.stack);
+		});
+	})).then(() => {
+		this._updateManifest();
+		thumbnails.forEach((thumbnail) => {
+			this._emit("thumbnailRemoved", thumbnail);
+		});
+		this._emit("thumbnailsChanged");
+	});
+};
+
+// the names of the files for all the renditions of a thumbnail
+SimpleThumbnailGenerator.prototype._getThumbnailFileNames = function(thumbnail) {
+	return thumbnail.renditions ? thumbnail.renditions.map((rendition) => {
+		return rendition.name;
+	}) : [thumbnail.name];
+};
+
 SimpleThumbnailGenerator.prototype._updateManifest = function() {
 	if (this._updating) {
 		this._updateQueued = true;
 		return;
 	}
 	this._updating = true;
-	var segments = this.getThumbnails();
-	var ended = this._playlistEnded;
-	var manifest = JSON.stringify({
-		segments: segments,
-		ended: ended
-	});
-	var outputDir = this._generatorOptions.outputDir;
-	var manifestFile = path.join(outputDir, this._manifestFileName);
-	return utils.ensureExists(outputDir).then(() => {
-		return utils.writeFile(manifestFile, manifest).then(() => {
-			if (this._destroyed) {
-				// delete it
-				return utils.verifiedUnlink(manifestFile);
-			}
-		});
+	var files = {};
+	files[this._manifestFileName] = JSON.stringify(this.getManifest());
+	if (this._webvttFileName) {
+		files[this._webvttFileName] = this.getWebvtt();
+	}
+	return utils.ensureExists(this._tempDir).then(() => {
+		return Promise.all(Object.keys(files).map((fileName) => {
+			// write the file locally and then move it into storage so that it is replaced in one go
+			// the temp dir can be shared with other generators and processes, so the name has to be unique
+			var tempFile = path.join(this._tempDir, fileName+"."+process.pid+"-"+(++tempFileCount)+".tmp");
+			return utils.writeFile(tempFile, files[fileName]).then(() => {
+				return this._storage.put(fileName, tempFile);
+			}).then(() => {
+				if (this._destroyed) {
+					// delete it
+					return this._storage.delete(fileName);
+				}
+			});
+		}));
 	}).catch((err) => {
 		if (!this._destroyed) {
 			this._logger.error("Error writing manifest file.", err);
@@ -316,6 +629,62 @@ SimpleThumbnailGenerator.prototype._updateManifest = function() {
 	});
 };
 
+// build a WebVTT thumbnails track where each cue covers the time until the next thumbnail
+SimpleThumbnailGenerator.prototype._buildWebvtt = function() {
+	var items = [];
+	this._segments.forEach((segment) => {
+		var segmentTime = this._segmentTimes[segment.sn];
+		if (!segmentTime) {
+			return;
+		}
+		segment.thumbnails.forEach((thumbnail) => {
+			var sprite = thumbnail.sprite;
+			items.push({
+				time: segmentTime.start + thumbnail.time,
+				name: thumbnail.name,
+				// use a media fragment to point at the tile in the sprite sheet
+				fragment: sprite ? "#xywh="+[sprite.x, sprite.y, sprite.w, sprite.h].join(",") : ""
+			});
+		});
+	});
+	items.sort((a, b) => {
+		return a.time-b.time;
+	});
+
+	var last = this._lastSegmentTime;
+	var streamEnd = last ? last.start + last.duration : 0;
+
+	var lines = ["WEBVTT", ""];
+	items.forEach((item, i) => {
+		var end = i+1 < items.length ? items[i+1].time : Math.max(streamEnd, item.time);
+		lines.push(this._formatWebvttTime(item.time)+" --> "+this._formatWebvttTime(end));
+		var thumbnailUrl = this._webvttBaseUrl !== null ? this._webvttBaseUrl+item.name : this._storage.getUrl(item.name);
+		lines.push(thumbnailUrl+item.fragment);
+		lines.push("");
+	});
+	return lines.join("\n");
+};
+
+// seconds to HH:MM:SS.mmm
+SimpleThumbnailGenerator.prototype._formatWebvttTime = function(time) {
+	var ms = Math.round(time * 1000);
+	var hours = Math.floor(ms / 3600000);
+	var minutes = Math.floor(ms / 60000) % 60;
+	var seconds = Math.floor(ms / 1000) % 60;
+	var pad = (num, length) => {
+		return ("000"+num).slice(-length);
+	};
+	return pad(hours, 2)+":"+pad(minutes, 2)+":"+pad(seconds, 2)+"."+pad(ms % 1000, 3);
+};
+
+SimpleThumbnailGenerator.prototype._getOutputFileNames = function() {
+	var fileNames = [this._manifestFileName];
+	if (this._webvttFileName) {
+		fileNames.push(this._webvttFileName);
+	}
+	return fileNames;
+};
+
 SimpleThumbnailGenerator.prototype._emit = function() {
 	if (this._destroyed) {
 		return;
@@ -0,0 +1,142 @@
+var path = require("path");
+var Ffmpeg = require("fluent-ffmpeg");
+var config = require("./config");
+var utils = require("./utils");
+var imageFormats = require("./image-formats");
+
+var ffmpegTimeout = config.ffmpegTimeout;
+
+/**
+ * Packs thumbnails into sprite sheets with a fixed grid.
+ * The sheet is rewritten in storage every time a tile is added,
+ * and a new sheet is started once the current one is full.
+ * Each sheet is named after its first tile: [tile name]-sheet.[format]
+ * @constructor
+ * @param {Object} options
+ * @param {Number} options.columns The number of columns in a sheet.
+ * @param {Number} options.rows The number of rows in a sheet.
+ * @param {Object} options.storage Where to store the sheets. See `FileStorage` for the interface.
+ * @param {String} options.tempDir The path to a temporary directory, where the tiles of the current sheet are kept.
+ * @param {String} options.format The image format of the sheets.
+ * @param {Number|null} options.quality The image quality of the sheets from 0 to 100, or null for the default.
+ * @param {JobQueue} options.ffmpegQueue The queue from a `FfmpegScheduler` to run ffmpeg with.
+ * @param {Object} options.logger An object with `debug`, `info`, `warn` and `error` functions.
+ */
+function SpriteSheet(options) {
+	if (options.columns % 1 !== 0 || options.columns < 1 || options.rows % 1 !== 0 || options.rows < 1) {
+		throw new Error("Sprite sheet columns and rows must be integers greater than 0.");
+	}
+	this._columns = options.columns;
+	this._rows = options.rows;
+	this._storage = options.storage;
+	this._tempDir = options.tempDir;
+	this._format = options.format;
+	this._quality = options.quality;
+	this._ffmpegQueue = options.ffmpegQueue;
+	this._logger = options.logger;
+	// {name, baseName, tiles, tileWidth, tileHeight}
+	// tiles is an array of file locations in the temp directory
+	this._sheet = null;
+}
+
+/**
+ * @typedef SpriteLocation
+ * @type Object
+ * @property {String} name The name of the sheet file.
+ * @property {Number} x The x offset of the tile in the sheet (px).
+ * @property {Number} y The y offset of the tile in the sheet (px).
+ * @property {Number} w The width of the tile (px).
+ * @property {Number} h The height of the tile (px).
+ */
+
+/**
+ * Add a tile to the current sheet, and write the updated sheet to storage.
+ * Tiles must be added one at a time.
+ * @param {String} tileLocation The location of the tile image, which should be a png. It will be moved.
+ * @param {String} tileName The name of the tile, without an extension.
+ * @return {Promise.<SpriteLocation>} Where the tile is in the sheet.
+ */
+SpriteSheet.prototype.addTile = function(tileLocation, tileName) {
+	if (!this._sheet || this._sheet.tiles.length >= this._columns * this._rows) {
+		this._startSheet(tileName);
+	}
+	var sheet = this._sheet;
+	var tileIndex = sheet.tiles.length;
+	var newTileLocation = path.join(this._tempDir, sheet.baseName+"-tile-"+tileIndex+".png");
+	return utils.move(tileLocation, newTileLocation).then(() => {
+		sheet.tiles.push(newTileLocation);
+		if (sheet.tileWidth !== null) {
+			return;
+		}
+		return imageFormats.getDimensions(newTileLocation).then((dimensions) => {
+			sheet.tileWidth = dimensions.width;
+			sheet.tileHeight = dimensions.height;
+		});
+	}).then(() => {
+		return this._render(sheet);
+	}).then(() => {
+		return {
+			name: sheet.name,
+			x: (tileIndex % this._columns) * sheet.tileWidth,
+			y: Math.floor(tileIndex / this._columns) * sheet.tileHeight,
+			w: sheet.tileWidth,
+			h: sheet.tileHeight
+		};
+	});
+};
+
+/**
+ * Remove the tiles that are kept for the current sheet.
+ * The sheet in storage is not touched.
+ */
+SpriteSheet.prototype.destroy = function() {
+	if (this._sheet) {
+		this._removeTiles(this._sheet);
+		this._sheet = null;
+	}
+};
+
+SpriteSheet.prototype._startSheet = function(tileName) {
+	if (this._sheet) {
+		// the previous sheet is complete so its tiles are no longer needed
+		this._removeTiles(this._sheet);
+	}
+	var baseName = tileName+"-sheet";
+	this._sheet = {
+		name: baseName+"."+this._format,
+		baseName: baseName,
+		tiles: [],
+		tileWidth: null,
+		tileHeight: null
+	};
+	this._logger.debug("Starting new sprite sheet.", this._sheet.name);
+};
+
+SpriteSheet.prototype._removeTiles = function(sheet) {
+	sheet.tiles.forEach((tile) => {
+		utils.verifiedUnlink(tile).catch((err) => {
+			this._logger.error("Error trying to delete sprite sheet tile.", tile, err.stack);
+		});
+	});
+};
+
+// render the sheet in the temp directory and then move it to storage
+SpriteSheet.prototype._render = function(sheet) {
+	var tempLocation = path.join(this._tempDir, sheet.name);
+	var command = new Ffmpeg({
+		timeout: ffmpegTimeout
+	}).input(path.join(this._tempDir, sheet.baseName+"-tile-%d.png"))
+	.inputOptions("-start_number 0")
+	.videoFilters([
+		"scale="+sheet.tileWidth+":"+sheet.tileHeight,
+		"tile="+this._columns+"x"+this._rows
+	])
+	.frames(1)
+	.outputOptions(imageFormats.getOutputOptions(this._format, this._quality))
+	.output(tempLocation);
+	return this._ffmpegQueue.runCommand(command).then(() => {
+		return this._storage.put(sheet.name, tempLocation);
+	});
+};
+
+module.exports = SpriteSheet;
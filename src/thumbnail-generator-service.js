@@ -1,10 +1,21 @@
 var crypto = require("crypto");
+var path = require("path");
+var util = require("util");
 var SimpleThumbnailGenerator = require("./simple-thumbnail-generator");
 var Logger = require("./logger");
 var express = require('express');
 var bodyParser = require('body-parser');
 var nullLogger = require("./null-logger");
 var utils = require("./utils");
+var imageFormats = require("./image-formats");
+var EventStream = require("./event-stream");
+var Webhook = require("./webhook");
+var FfmpegScheduler = require("./ffmpeg-scheduler");
+var Metrics = require("./metrics");
+
+// how long thumbnails can be cached for (seconds)
+// they don't change, but sprite sheets, manifests and WebVTT files do so these always have to be revalidated
+const thumbnailMaxAge = 86400;
 
 /**
  * Start a web service which will allow thumbnail generation to be controlled by web requests.
@@ -12,19 +23,49 @@ var utils = require("./utils");
  * - POST /v1/start
  *   - start generating thumbnails
  *   - manifest will be at "thumbnails-[id].json"
- *   - fields
+ *   - WebVTT file will be at "thumbnails-[id].vtt" if the `webvtt` option is enabled
+ *   - fields, urlencoded or JSON
  *     - url
+ *     - callbackUrl (optional. Events will be POSTed here. See `Webhook`)
+ *     - callbackEvents (optional. Comma separated list of the events to POST. Defaults to all)
+ *     - headers, cookies, basicAuth, bearerToken, proxy, requestTimeout, rejectUnauthorized, ca, cert, key, propagateQueryParams
+ *       (optional. For the playlist, segment and key requests. See the `http` option of `ThumbnailGenerator`)
  *   - response
  *     - {id: <id used for further communication>}
+ * - GET /v1/generators
+ *     - {generators: <the status of each generator>}
+ * - GET /v1/scheduler
+ *     - the stats of the ffmpeg scheduler. See `FfmpegScheduler#getStats()`
+ * - GET /metrics
+ *     - metrics in the Prometheus text format
  * - GET /v1/generators/{id}
- *     - {ended: <true or false>}
+ *     - the status of the generator. See `_getStatus()`
+ * - GET /v1/generators/{id}/thumbnails
+ *     - the result of `SimpleThumbnailGenerator#getThumbnails()`
+ * - GET /v1/generators/{id}/manifest
+ *     - the manifest file
+ * - GET /v1/generators/{id}/webvtt
+ *     - the WebVTT file, if the `webvtt` option is enabled
+ * - GET /v1/generators/{id}/thumbnails/{name}
+ *     - a thumbnail or sprite sheet file, read from the storage
+ * - GET /v1/generators/{id}/events
+ *     - a Server-Sent Events stream of "newThumbnail", "thumbnailRemoved", "playlistEnded" and "finished" events
  * - DELETE /v1/generators/{id}
  *   - stop generating and remove thumbnails for stream
+ * Errors are sent as {error, code, parameter}, with a 400 status code for invalid parameters and 409 if a generator already exists with the id.
  * @constructor
  * @param {Object} options
  * @param {Number} [options.port] The port to listen on. Defaults to 8080.
  * @param {String} [options.secret] A secret which is required with requests. Defaults to null which disables this. If enabled secret should be procided in "x-secret" header for api requests.
+ *   Callback requests are also signed with this.
+ * @param {Boolean} [options.publicFiles] Allow the manifest, WebVTT, thumbnail file and event stream requests without the secret. Defaults to false.
+ * @param {Boolean} [options.publicMetrics] Allow the metrics request without the secret. Defaults to false.
+ * @param {String} [options.corsOrigin] The value of the Access-Control-Allow-Origin header for the manifest, WebVTT, thumbnail file and event stream requests. Defaults to "*".
  * @param {String} [options.pingInterval] If a ping request isn't made every 'pingInterval' seconds then thumbnail generation will stop. Defaults to disabled.
+ * @param {Boolean} [options.webvtt] Also generate a WebVTT thumbnails track for each generator. Defaults to false.
+ * @param {Number} [options.ffmpegConcurrency] The maximum number of ffmpeg processes to run at once, between all the generators. Defaults to the number of CPUs.
+ * @param {String} [options.stateFile] If provided the generators are saved to this file, and re-created when the service starts,
+ *   continuing from their manifests. The file includes any credentials from the start requests, so it is only readable by its owner. Destroying the service then keeps the thumbnails so that they can be resumed. Defaults to disabled.
  * @param {Number} [options.logger] An object with `debug`, `info`, `warn` and `error` functions, or null, to disable logging.
  * @param {Object} [simpleThumbnailGeneratorOptions] Default configuraton for `ThumbnailGenerator`.
  * @param {Object} [thumbnailGeneratorOptions] Default configuraton for `SimpleThumbnailGenerator`. Note the temp directory will be automatically generated and managed if not provided.
@@ -49,18 +90,52 @@ function ThumbnailGeneratorService(options, simpleThumbnailGeneratorOptions, thu
 
 	this._port = options.port || 8080;
 	this._secret = options.secret || null;
+	this._publicFiles = !!options.publicFiles;
+	this._publicMetrics = !!options.publicMetrics;
+	this._corsOrigin = options.corsOrigin || "*";
 	this._pingInterval = options.pingInterval || null;
+	this._webvtt = !!options.webvtt;
+	this._stateFile = options.stateFile ? path.resolve(options.stateFile) : null;
+	// shared by all the generators
+	this._scheduler = new FfmpegScheduler({
+		concurrency: options.ffmpegConcurrency || null
+	});
+	this._metrics = null;
+	// {all, generator} for each counter, where `generator` has a "generator" label. See `_createMetrics()`
+	this._generatorsStarted = null;
+	this._counters = null;
+	this._histograms = null;
+	this._createMetrics();
 	this._outputDir = this._thumbnailGeneratorOptions.outputDir;
 	this._tempDir = this._thumbnailGeneratorOptions.tempDir || null;
 	this._destroyed = false;
 	// generators by id
 	this._generators = {};
+	// the options each generator was created with, by id
+	this._generatorOptions = {};
+	// the event stream for each generator, by id
+	this._eventStreams = {};
+	// the callback {url, events} for each generator that has one, by id
+	this._callbacks = {};
+	// the webhook for each generator that has a callback, by id
+	this._webhooks = {};
 	this._app = null;
 	this._pingTimeoutIds = {};
-	this._initTempDir().then(() => {
+	// when each generator will be destroyed if there isn't a ping (ms), by id
+	this._pingDeadlines = {};
+	// when each generator was created (ms), by id
+	this._createdTimes = {};
+	this._savingState = false;
+	this._saveStateQueued = false;
+	var savedGenerators = null;
+	this._loadState().then((generators) => {
+		savedGenerators = generators;
+		return this._initTempDir();
+	}).then(() => {
 		if (this._destroyed) {
 			return;
 		}
+		this._restoreGenerators(savedGenerators);
 		this._createServer();
 		this._logger.debug("Loaded and listening on "+this._port+".");
 	}).catch((err) => {
@@ -77,9 +152,19 @@ ThumbnailGeneratorService.prototype.destroy = function() {
 	}
 	this._destroyed = true;
 	Object.keys(this._generators).forEach((id) => {
-		this._generators[id].destroy();
+		// keep the files if the generator will be resumed
+		this._generators[id].destroy(!!this._stateFile);
+		clearTimeout(this._pingTimeoutIds[id]);
+		this._eventStreams[id].close();
+	});
+	Object.keys(this._webhooks).forEach((id) => {
+		this._webhooks[id].destroy();
 	});
 	this._generators = {};
+	this._eventStreams = {};
+	this._webhooks = {};
+	this._pingTimeoutIds = {};
+	this._pingDeadlines = {};
 	this._app && this._app.close();
 };
 
@@ -93,7 +178,8 @@ ThumbnailGeneratorService.prototype._initTempDir = function() {
 	this._logger.debug("Initializing temp directory.");
 
 	return utils.ensureExists(tempDir).then(() => {
-		return utils.emptyDir(tempDir);
+		// the state file might be in the temp directory
+		return utils.emptyDir(tempDir, this._stateFile ? [this._stateFile] : []);
 	}).then(() => {
 		this._tempDir = tempDir;
 		this._logger.debug("Temp directory initialized.", tempDir);
@@ -103,57 +189,160 @@ ThumbnailGeneratorService.prototype._initTempDir = function() {
 ThumbnailGeneratorService.prototype._createServer = function() {
 	var app = express();
 	app.use(bodyParser.urlencoded({ extended: false }));
+	app.use(bodyParser.json());
 
-	app.all('*', (req, res, next) => {
+	var checkSecret = (req, res, next) => {
 		if (!this._secret || (req.headers["x-secret"] && req.headers["x-secret"] === this._secret)) {
 			next();
 		}
 		else {
 			this._logger.debug("Request denied. Invalid secret.");
-			res.status(403).send({ error: 'Invalid secret.' });
+			this._sendError(res, 403, "invalid_secret", "Invalid secret.");
 		}
+	};
+
+	// the read routes can be public, so they are handled before the secret is checked for everything else
+	var readRoutes = [
+		'/v1/generators/:id/manifest',
+		'/v1/generators/:id/webvtt',
+		'/v1/generators/:id/thumbnails/:name',
+		'/v1/generators/:id/events'
+	];
+	app.use(readRoutes, (req, res, next) => {
+		res.set({
+			"Access-Control-Allow-Origin": this._corsOrigin,
+			"Access-Control-Allow-Methods": "GET, OPTIONS",
+			"Access-Control-Allow-Headers": "x-secret, If-None-Match, Last-Event-ID",
+			"Access-Control-Expose-Headers": "ETag"
+		});
+		if (this._corsOrigin !== "*") {
+			res.vary("Origin");
+		}
+		if (req.method === "OPTIONS") {
+			// preflight request, which will not have the secret
+			res.status(204).end();
+			return;
+		}
+		next();
 	});
+	var checkReadSecret = this._publicFiles ? (req, res, next) => { next(); } : checkSecret;
 
-	app.post('/v1/start', (req, res) => {
-		var url = req.body.url || null;
-		if (!url) {
-			throw new Error("URL required.");
+	app.get('/v1/generators/:id/manifest', checkReadSecret, (req, res) => {
+		var generator = this._generators[req.params.id];
+		if (!generator) {
+			this._sendError(res, 404, "not_found", "Generator does not exist.");
+			return;
 		}
-		var id = req.body.id;
-		if (typeof(id) === "undefined") {
-			id = this._generateId();
+		this._sendFile(req, res, JSON.stringify(generator.getManifest()), "application/json", "no-cache");
+	});
+
+	app.get('/v1/generators/:id/webvtt', checkReadSecret, (req, res) => {
+		var generator = this._generators[req.params.id];
+		var webvtt = generator ? generator.getWebvtt() : null;
+		if (webvtt === null) {
+			this._sendError(res, 404, "not_found", "WebVTT file does not exist.");
+			return;
 		}
-		else if (/[^A-Za-z0-9\-]/.test(id) || id.length === 0) {
-			throw new Error("Invalid ID. Must be alpha numberic.");
+		this._sendFile(req, res, webvtt, "text/vtt", "no-cache");
+	});
+
+	app.get('/v1/generators/:id/thumbnails/:name', checkReadSecret, (req, res) => {
+		var generator = this._generators[req.params.id];
+		var name = req.params.name;
+		// only files that belong to the generator can be read
+		if (!generator || generator.getFileNames().indexOf(name) === -1) {
+			this._sendError(res, 404, "not_found", "Thumbnail does not exist.");
+			return;
 		}
-		else if (this._generators[id]) {
-			throw new Error("A generator with the provided ID already exists.");
+		var storage = generator.getStorage();
+		if (typeof(storage.get) !== "function") {
+			this._sendError(res, 501, "not_supported", "The storage does not support reading files.");
+			return;
 		}
-		var options = {
-			playlistUrl: url
-		};
-		req.body.width && (options.thumbnailWidth = parseInt(req.body.width));
-		req.body.height && (options.thumbnailHeight = parseInt(req.body.height));
-		req.body.interval && (options.interval = parseInt(req.body.interval));
-		req.body.initialThumbnailCount && (options.initialThumbnailCount = parseInt(req.body.initialThumbnailCount));
-		req.body.targetThumbnailCount && (options.targetThumbnailCount = parseInt(req.body.targetThumbnailCount));
+		storage.get(name).then((data) => {
+			if (!data) {
+				this._sendError(res, 404, "not_found", "Thumbnail does not exist.");
+				return;
+			}
+			var visibility = this._publicFiles || !this._secret ? "public" : "private";
+			// sprite sheets are rewritten as thumbnails are added to them
+			var cacheControl = /-sheet\.[^.]+$/.test(name) ? "no-cache" : visibility+", max-age="+thumbnailMaxAge;
+			var contentType = imageFormats.getContentType(path.extname(name).slice(1)) || "application/octet-stream";
+			this._sendFile(req, res, data, contentType, cacheControl);
+		}).catch((err) => {
+			this._logger.error("Error reading thumbnail.", name, err.stack);
+			this._sendError(res, 500, "internal_error", "Error reading thumbnail.");
+		});
+	});
 
-		this._createGenerator(id, options);
+	app.get('/v1/generators/:id/events', checkReadSecret, (req, res) => {
+		var eventStream = this._eventStreams[req.params.id];
+		if (!eventStream) {
+			this._sendError(res, 404, "not_found", "Generator does not exist.");
+			return;
+		}
+		eventStream.addClient(req, res);
+	});
+
+	app.get('/metrics', this._publicMetrics ? (req, res, next) => { next(); } : checkSecret, (req, res) => {
+		res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+		res.send(this._metrics.render());
+	});
+
+	app.all('*', checkSecret);
+
+	app.post('/v1/start', (req, res) => {
+		var params = this._parseStartParams(req.body || {});
+		var id = params.id;
+		if (id === null) {
+			id = this._generateId();
+		}
+		else if (this._generators[id]) {
+			throw new RequestException(409, "generator_exists", "A generator with the provided ID already exists.");
+		}
+		try {
+			this._createGenerator(id, params.options, false, params.callback);
+		} catch(err) {
+			// the options are validated by the generator constructors
+			throw new RequestException(400, "invalid_options", err.message);
+		}
 		res.send({
 			id: id
 		});
 	});
 
+	app.get('/v1/scheduler', (req, res) => {
+		res.send(this._scheduler.getStats());
+	});
+
+	app.get('/v1/generators', (req, res) => {
+		res.send({
+			generators: Object.keys(this._generators).map((id) => {
+				return this._getStatus(id);
+			})
+		});
+	});
+
 	app.get('/v1/generators/:id', (req, res) => {
 		var id = req.params.id;
 		var generator = this._generators[id];
 		if (!generator) {
-			res.status(404).send({ error: 'Generator does not exist.' });
+			this._sendError(res, 404, "not_found", "Generator does not exist.");
 			return;
 		}
 		this._schedulePingTimeout(id, generator);
+		res.send(this._getStatus(id));
+	});
+
+	app.get('/v1/generators/:id/thumbnails', (req, res) => {
+		var id = req.params.id;
+		var generator = this._generators[id];
+		if (!generator) {
+			this._sendError(res, 404, "not_found", "Generator does not exist.");
+			return;
+		}
 		res.send({
-			ended: generator.hasPlaylistEnded()
+			segments: generator.getThumbnails()
 		});
 	});
 
@@ -161,34 +350,349 @@ ThumbnailGeneratorService.prototype._createServer = function() {
 		var id = req.params.id;
 		var generator = this._generators[id];
 		if (!generator) {
-			res.status(404).send({ error: 'Generator does not exist.' });
+			this._sendError(res, 404, "not_found", "Generator does not exist.");
 			return;
 		}
 		generator.destroy();
-		delete this._generators[id];
-		if (this._pingInterval) {
-			clearTimeout(this._pingTimeoutIds[id]);
-			delete this._pingTimeoutIds[id];
-		}
+		this._removeGenerator(id);
 		res.send("Deleted.");
 	});
 
+	app.use((req, res) => {
+		this._sendError(res, 404, "not_found", "Not found.");
+	});
+
+	app.use((err, req, res, next) => {
+		if (err instanceof RequestException) {
+			this._sendError(res, err.statusCode, err.code, err.message, err.parameter);
+		}
+		else if (err.type === "entity.parse.failed") {
+			// from body-parser
+			this._sendError(res, 400, "invalid_body", "The body is not valid.");
+		}
+		else {
+			this._logger.error("Error handling request.", req.method, req.path, err.stack);
+			this._sendError(res, 500, "internal_error", "Internal server error.");
+		}
+	});
+
 	app.listen(this._port, "0.0.0.0");
 	this._app = app;
 };
 
-ThumbnailGeneratorService.prototype._createGenerator = function(id, options) {
+// `parameter` is the name of the invalid parameter, if there is one
+ThumbnailGeneratorService.prototype._sendError = function(res, statusCode, code, message, parameter) {
+	var body = {
+		error: message,
+		code: code
+	};
+	if (parameter) {
+		body.parameter = parameter;
+	}
+	res.status(statusCode).send(body);
+};
+
+// validate the POST /v1/start parameters, which could be strings from a urlencoded body or any JSON type
+// returns {id, options, callback} where `id` is null if one wasn't provided
+ThumbnailGeneratorService.prototype._parseStartParams = function(body) {
+	var url = parseString(body, "url");
+	if (url === null) {
+		throw new RequestException(400, "missing_parameter", "url is required.", "url");
+	}
+	if (!/^https?:\/\//i.test(url)) {
+		throw new RequestException(400, "invalid_parameter", "url must be a http or https url.", "url");
+	}
+	var id = parseString(body, "id");
+	if (id !== null && !/^[A-Za-z0-9\-]+$/.test(id)) {
+		throw new RequestException(400, "invalid_parameter", "id must be alpha numeric.", "id");
+	}
+
+	var options = {
+		playlistUrl: url
+	};
+	var setOption = (name, value) => {
+		if (value !== null) {
+			options[name] = value;
+		}
+	};
+	var width = parseInteger(body, "width", 1);
+	var height = parseInteger(body, "height", 1);
+	var sizes = parseList(body, "sizes");
+	setOption("thumbnailWidth", width);
+	setOption("thumbnailHeight", height);
+	if (sizes !== null) {
+		options.sizes = sizes;
+	}
+	else if (width !== null || height !== null) {
+		// the width and height would be ignored if there were default sizes
+		options.sizes = null;
+	}
+	var format = parseString(body, "format");
+	if (format !== null) {
+		try {
+			imageFormats.validate(format, null);
+		} catch(err) {
+			throw new RequestException(400, "invalid_parameter", err.message, "format");
+		}
+	}
+	setOption("format", format);
+	setOption("quality", parseNumber(body, "quality", 0, 100, false));
+	setOption("interval", parseNumber(body, "interval", 0, null, true));
+	setOption("initialThumbnailCount", parseInteger(body, "initialThumbnailCount", 1));
+	setOption("targetThumbnailCount", parseInteger(body, "targetThumbnailCount", 1));
+	// interval and targetThumbnailCount can't be used together, so one from the request replaces a default for the other
+	var hasInterval = typeof(options.interval) !== "undefined";
+	var hasTargetThumbnailCount = typeof(options.targetThumbnailCount) !== "undefined";
+	if (hasInterval && !hasTargetThumbnailCount) {
+		options.targetThumbnailCount = null;
+	}
+	else if (hasTargetThumbnailCount && !hasInterval) {
+		options.interval = null;
+	}
+	var sceneChange = parseBoolean(body, "sceneChange");
+	if (sceneChange === false || (sceneChange === null && (hasInterval || hasTargetThumbnailCount))) {
+		// interval mode was requested, so a default of scene change mode doesn't apply
+		options.sceneChange = false;
+	}
+	if (sceneChange) {
+		options.sceneChange = true;
+		// the defaults for interval mode don't apply
+		["interval", "targetThumbnailCount", "initialThumbnailCount"].forEach((name) => {
+			if (typeof(options[name]) === "undefined") {
+				options[name] = null;
+			}
+		});
+	}
+	setOption("sceneChangeThreshold", parseNumber(body, "sceneChangeThreshold", 0, 1, true));
+	setOption("minSceneChangeGap", parseNumber(body, "minSceneChangeGap", 0, null, false));
+	setOption("maxSceneChangeGap", parseNumber(body, "maxSceneChangeGap", 0, null, true));
+	setOption("skipBlackFrames", parseBoolean(body, "skipBlackFrames"));
+	setOption("skipUniformFrames", parseBoolean(body, "skipUniformFrames"));
+	setOption("skipFrozenFrames", parseBoolean(body, "skipFrozenFrames"));
+	setOption("rejectedFrameRetryCount", parseInteger(body, "rejectedFrameRetryCount", 0));
+	setOption("rejectedFrameRetryOffset", parseNumber(body, "rejectedFrameRetryOffset", 0, null, true));
+	setOption("spriteSheetColumns", parseInteger(body, "spriteSheetColumns", 1));
+	setOption("spriteSheetRows", parseInteger(body, "spriteSheetRows", 1));
+	setOption("variantSelection", parseString(body, "variantSelection"));
+	setOption("maxBandwidth", parseInteger(body, "maxBandwidth", 1));
+
+	var http = {};
+	var setHttpOption = (name, value) => {
+		if (value !== null) {
+			http[name] = value;
+		}
+	};
+	setHttpOption("headers", parseHeaders(body, "headers"));
+	setHttpOption("cookies", parseCookies(body, "cookies"));
+	var basicAuth = parseString(body, "basicAuth");
+	var bearerToken = parseString(body, "bearerToken");
+	if (basicAuth !== null && bearerToken !== null) {
+		throw new RequestException(400, "invalid_parameter", "basicAuth and bearerToken can't both be provided.", "bearerToken");
+	}
+	if (basicAuth !== null) {
+		var separatorIndex = basicAuth.indexOf(":");
+		if (separatorIndex === -1) {
+			throw new RequestException(400, "invalid_parameter", "basicAuth must be in the form \"username:password\".", "basicAuth");
+		}
+		http.auth = {
+			username: basicAuth.substring(0, separatorIndex),
+			password: basicAuth.substring(separatorIndex+1)
+		};
+	}
+	else if (bearerToken !== null) {
+		http.auth = {
+			bearer: bearerToken
+		};
+	}
+	var proxy = parseString(body, "proxy");
+	if (proxy !== null && !/^https?:\/\//i.test(proxy)) {
+		throw new RequestException(400, "invalid_parameter", "proxy must be a http or https url.", "proxy");
+	}
+	setHttpOption("proxy", proxy);
+	setHttpOption("timeout", parseNumber(body, "requestTimeout", 0, null, true));
+	setHttpOption("rejectUnauthorized", parseBoolean(body, "rejectUnauthorized"));
+	setHttpOption("ca", parseString(body, "ca"));
+	setHttpOption("cert", parseString(body, "cert"));
+	setHttpOption("key", parseString(body, "key"));
+	var propagateQueryParams = getParam(body, "propagateQueryParams");
+	if (propagateQueryParams === true || propagateQueryParams === false || propagateQueryParams === "true" || propagateQueryParams === "false") {
+		http.propagateQueryParams = parseBoolean(body, "propagateQueryParams");
+	}
+	else {
+		setHttpOption("propagateQueryParams", parseList(body, "propagateQueryParams"));
+	}
+	if (Object.keys(http).length > 0) {
+		options.http = http;
+	}
+
+	var callback = null;
+	var callbackUrl = parseString(body, "callbackUrl");
+	var callbackEvents = parseList(body, "callbackEvents");
+	if (callbackUrl !== null) {
+		callback = {
+			url: callbackUrl,
+			events: callbackEvents
+		};
+	}
+	else if (callbackEvents !== null) {
+		throw new RequestException(400, "invalid_parameter", "callbackEvents requires callbackUrl.", "callbackEvents");
+	}
+
+	return {
+		id: id,
+		options: options,
+		callback: callback
+	};
+};
+
+// send a file with a strong ETag. Express responds with a 304 if it matches the If-None-Match header
+ThumbnailGeneratorService.prototype._sendFile = function(req, res, body, contentType, cacheControl) {
+	res.set({
+		"Content-Type": contentType,
+		"Cache-Control": cacheControl,
+		"ETag": '"'+crypto.createHash("sha1").update(body).digest("hex")+'"'
+	});
+	res.send(typeof(body) === "string" ? Buffer.from(body) : body);
+};
+
+// `resume` continues from the existing manifest, for generators that were restored from the state file
+// `callback` is {url, events} or null
+ThumbnailGeneratorService.prototype._createGenerator = function(id, options, resume, callback) {
+	// created first so that an invalid callback throws before anything is started
+	var webhook = callback ? new Webhook({
+		url: callback.url,
+		events: callback.events,
+		generatorId: id,
+		secret: this._secret,
+		logger: this._logger
+	}) : null;
 	var thumbnailGeneratorOptions = Object.assign({}, this._thumbnailGeneratorOptions, options, {
 		tempDir: this._tempDir,
-		outputNamePrefix: id
+		outputNamePrefix: id,
+		scheduler: this._scheduler
 	});
+	// the http options from the request are added to the defaults, instead of replacing them
+	var defaultHttp = this._thumbnailGeneratorOptions.http || {};
+	if (options.http) {
+		thumbnailGeneratorOptions.http = Object.assign({}, defaultHttp, options.http, {
+			headers: Object.assign({}, defaultHttp.headers, options.http.headers)
+		});
+	}
 	var simpleThumbnailGeneratorOptions = Object.assign({}, this._simpleThumbnailGeneratorOptions, {
-		manifestFileName: this._generateManifestFileName(id)
+		manifestFileName: this._generateManifestFileName(id),
+		webvttFileName: this._webvtt ? this._generateWebvttFileName(id) : null,
+		resume: !!resume
 	});
 	var generator = new SimpleThumbnailGenerator(simpleThumbnailGeneratorOptions, thumbnailGeneratorOptions);
+	this._eventStreams[id] = new EventStream({
+		getResyncData: () => {
+			return {
+				segments: generator.getThumbnails(),
+				ended: generator.hasPlaylistEnded()
+			};
+		}
+	});
+	if (webhook) {
+		this._webhooks[id] = webhook;
+		this._callbacks[id] = callback;
+	}
 	this._addListeners(id, generator);
 	this._generators[id] = generator;
+	this._generatorOptions[id] = options;
+	this._createdTimes[id] = Date.now();
+	this._generatorsStarted.inc({});
 	this._schedulePingTimeout(id, generator);
+	this._saveState();
+};
+
+// forget about a generator that has been destroyed or has finished
+ThumbnailGeneratorService.prototype._removeGenerator = function(id) {
+	delete this._generators[id];
+	delete this._generatorOptions[id];
+	this._metrics.removeSeries("generator", id);
+	delete this._createdTimes[id];
+	// the webhook is closed instead of destroyed so that the events that are queued, e.g. "finished", are still delivered
+	if (this._webhooks[id]) {
+		this._webhooks[id].close();
+		delete this._webhooks[id];
+	}
+	delete this._callbacks[id];
+	if (this._eventStreams[id]) {
+		this._eventStreams[id].close();
+		delete this._eventStreams[id];
+	}
+	if (typeof(this._pingTimeoutIds[id]) !== "undefined") {
+		clearTimeout(this._pingTimeoutIds[id]);
+		delete this._pingTimeoutIds[id];
+		delete this._pingDeadlines[id];
+	}
+	this._saveState();
+};
+
+// resolves with the saved generators, which are {id, options, callback}, or an empty array
+ThumbnailGeneratorService.prototype._loadState = function() {
+	if (!this._stateFile) {
+		return Promise.resolve([]);
+	}
+	return utils.readFile(this._stateFile).then((data) => {
+		return JSON.parse(data.toString()).generators || [];
+	}).catch((err) => {
+		if (err.code !== "ENOENT") {
+			this._logger.error("Error loading state file.", this._stateFile, err.stack);
+		}
+		return [];
+	});
+};
+
+ThumbnailGeneratorService.prototype._restoreGenerators = function(savedGenerators) {
+	savedGenerators.forEach((savedGenerator) => {
+		try {
+			this._createGenerator(savedGenerator.id, savedGenerator.options, true, savedGenerator.callback || null);
+			this._logger.debug("Restored generator.", savedGenerator.id);
+		} catch(err) {
+			this._logger.error("Error restoring generator.", savedGenerator.id, err.stack);
+		}
+	});
+	this._saveState();
+};
+
+// write the state to a temporary file and then move it, so that the state file is never incomplete
+ThumbnailGeneratorService.prototype._saveState = function() {
+	if (!this._stateFile || this._destroyed) {
+		return;
+	}
+	if (this._savingState) {
+		this._saveStateQueued = true;
+		return;
+	}
+	this._savingState = true;
+	var state = {
+		generators: Object.keys(this._generatorOptions).map((id) => {
+			return {
+				id: id,
+				options: this._generatorOptions[id],
+				callback: this._callbacks[id] || null
+			};
+		})
+	};
+	var tempFile = this._stateFile+".tmp";
+	utils.ensureExists(path.dirname(this._stateFile)).then(() => {
+		// the options can contain credentials for the requests, so only the owner can read the file
+		// a left over temp file is removed first, because the mode only applies to new files
+		return utils.unlink(tempFile).catch(() => {});
+	}).then(() => {
+		return utils.writeFile(tempFile, JSON.stringify(state), {mode: 0o600});
+	}).then(() => {
+		return utils.rename(tempFile, this._stateFile);
+	}).catch((err) => {
+		this._logger.error("Error saving state file.", this._stateFile, err.stack);
+	}).then(() => {
+		this._savingState = false;
+		if (this._saveStateQueued) {
+			this._saveStateQueued = false;
+			this._saveState();
+		}
+	});
 };
 
 ThumbnailGeneratorService.prototype._schedulePingTimeout = function(id, generator) {
@@ -200,25 +704,159 @@ ThumbnailGeneratorService.prototype._schedulePingTimeout = function(id, generato
 		// reset ping timeout
 		clearTimeout(this._pingTimeoutIds[id]);
 	}
+	this._pingDeadlines[id] = Date.now() + (this._pingInterval * 1000);
 	this._pingTimeoutIds[id] = setTimeout(() => {
 		generator.destroy();
-		delete this._generators[id];
-		delete this._pingTimeoutIds[id];
+		this._removeGenerator(id);
 		this._logger.debug("Generator destroyed because ping missed.", id);
 	}, this._pingInterval * 1000);
 };
 
+ThumbnailGeneratorService.prototype._createMetrics = function() {
+	var metrics = new Metrics();
+	metrics.gauge("hls_thumbnails_active_generators", "The number of generators.", [], () => {
+		return [{
+			labels: {},
+			value: Object.keys(this._generators).length
+		}];
+	});
+	metrics.gauge("hls_thumbnails_generator_thumbnails", "The number of thumbnails each generator has now.", ["generator"], () => {
+		return Object.keys(this._generators).map((id) => {
+			return {
+				labels: {generator: id},
+				value: this._generators[id].getStats().thumbnailCount
+			};
+		});
+	});
+	metrics.gauge("hls_thumbnails_ffmpeg_jobs_running", "The number of ffmpeg processes running.", [], () => {
+		return [{
+			labels: {},
+			value: this._scheduler.getStats().running
+		}];
+	});
+	metrics.gauge("hls_thumbnails_ffmpeg_jobs_queued", "The number of ffmpeg jobs waiting for the scheduler.", [], () => {
+		return [{
+			labels: {},
+			value: this._scheduler.getStats().queued
+		}];
+	});
+	// generators_started has no "generator" label because its series would be removed with the generator
+	this._generatorsStarted = metrics.counter("hls_thumbnails_generators_started_total", "The number of generators that have been started.");
+	// the series for a generator are removed with the generator
+	this._counters = {};
+	[
+		["generator_errors", "The number of generators that stopped because of an error.", []],
+		["playlist_requests", "The number of attempts to download a playlist.", ["result"]],
+		["segment_requests", "The number of attempts to download a segment.", ["result"]],
+		["segment_download_bytes", "The number of bytes of segments that have been downloaded.", []],
+		["ffmpeg_runs", "The number of times ffmpeg has run.", ["result"]],
+		["thumbnails_generated", "The number of thumbnails that have been generated.", []],
+		["thumbnails_expired", "The number of thumbnails that have been removed because their segments left the playlist.", []]
+	].forEach((definition) => {
+		var name = definition[0];
+		var help = definition[1];
+		var labelNames = definition[2];
+		this._counters[name] = metrics.counter("hls_thumbnails_"+name+"_total", help, ["generator"].concat(labelNames));
+	});
+	this._histograms = {
+		segmentDownloadDuration: metrics.histogram("hls_thumbnails_segment_download_duration_seconds", "How long segments took to download.", ["generator"]),
+		ffmpegRunDuration: metrics.histogram("hls_thumbnails_ffmpeg_run_duration_seconds", "How long ffmpeg ran for.", ["generator"]),
+		ffmpegQueueWait: metrics.histogram("hls_thumbnails_ffmpeg_queue_wait_seconds", "How long ffmpeg jobs waited for the scheduler.", ["generator"])
+	};
+	this._metrics = metrics;
+};
+
+// increment a generator's count, unless the generator has been removed, which would recreate its series
+ThumbnailGeneratorService.prototype._incrementCounter = function(name, id, labels, value) {
+	if (this._generators[id]) {
+		this._counters[name].inc(Object.assign({generator: id}, labels), value);
+	}
+};
+
+// record a generator's duration in seconds, unless the generator has been removed
+ThumbnailGeneratorService.prototype._observeDuration = function(name, id, duration) {
+	if (this._generators[id]) {
+		this._histograms[name].observe({generator: id}, duration / 1000);
+	}
+};
+
+// the information about a generator for the api
+ThumbnailGeneratorService.prototype._getStatus = function(id) {
+	var generator = this._generators[id];
+	var options = generator.getOptions();
+	var stats = generator.getStats();
+	return {
+		id: id,
+		url: options.playlistUrl,
+		ended: generator.hasPlaylistEnded(),
+		variant: generator.getVariant(),
+		options: options,
+		callback: this._callbacks[id] || null,
+		createdTime: this._createdTimes[id],
+		thumbnailCount: stats.thumbnailCount,
+		generatedThumbnailCount: stats.generatedThumbnailCount,
+		lastThumbnailTime: stats.lastThumbnailTime,
+		lastPlaylistFetchTime: stats.lastPlaylistFetchTime,
+		errorCounts: {
+			playlist: stats.playlistErrorCount,
+			segment: stats.segmentErrorCount,
+			thumbnail: stats.thumbnailErrorCount
+		},
+		queuedFfmpegJobs: stats.queuedFfmpegJobs,
+		pingDeadline: this._pingInterval ? this._pingDeadlines[id] : null
+	};
+};
+
 ThumbnailGeneratorService.prototype._addListeners = function(id, generator) {
 	var emitter = generator.getEmitter();
+	var eventStream = this._eventStreams[id];
+	var webhook = this._webhooks[id] || null;
+
+	["newThumbnail", "thumbnailRemoved", "playlistEnded", "finished"].forEach((event) => {
+		emitter.on(event, (data) => {
+			eventStream.send(event, data);
+			webhook && webhook.send(event, data);
+		});
+	});
+
+	emitter.on("playlistRequest", (request) => {
+		this._incrementCounter("playlist_requests", id, {result: request.success ? "success" : "failure"});
+	});
+
+	emitter.on("segmentRequest", (request) => {
+		this._incrementCounter("segment_requests", id, {result: request.success ? "success" : "failure"});
+		if (request.success) {
+			this._incrementCounter("segment_download_bytes", id, {}, request.bytes);
+			this._observeDuration("segmentDownloadDuration", id, request.duration);
+		}
+	});
+
+	emitter.on("ffmpegRun", (run) => {
+		this._incrementCounter("ffmpeg_runs", id, {result: run.success ? "success" : "failure"});
+		this._observeDuration("ffmpegRunDuration", id, run.duration);
+		this._observeDuration("ffmpegQueueWait", id, run.waitTime);
+	});
+
+	emitter.on("newThumbnail", () => {
+		this._incrementCounter("thumbnails_generated", id, {});
+	});
+
+	emitter.on("thumbnailRemoved", () => {
+		this._incrementCounter("thumbnails_expired", id, {});
+	});
 
 	emitter.on("error", (err) => {
+		this._incrementCounter("generator_errors", id, {});
+		webhook && webhook.send("error", {
+			message: err.message
+		});
 		this._logger.error("Generator error.", id, err.stack);
-		delete this._generators[id];
+		this._removeGenerator(id);
 	});
 
 	emitter.on("finished", () => {
 		this._logger.debug("Generator finished.", id);
-		delete this._generators[id];
+		this._removeGenerator(id);
 	});
 };
 
@@ -226,6 +864,10 @@ ThumbnailGeneratorService.prototype._generateManifestFileName = function(id) {
 	return "thumbnails-"+id+".json";
 };
 
+ThumbnailGeneratorService.prototype._generateWebvttFileName = function(id) {
+	return "thumbnails-"+id+".vtt";
+};
+
 ThumbnailGeneratorService.prototype._generateId = function() {
 	var id = null;
 	do {
@@ -235,4 +877,128 @@ ThumbnailGeneratorService.prototype._generateId = function() {
 };
 
 
+// an error that should be sent as the response with `statusCode`
+// `code` is a short identifier for the type of error, and `parameter` is the name of the invalid parameter, if there is one
+function RequestException(statusCode, code, message, parameter) {
+	Error.captureStackTrace(this, this.constructor);
+	this.name = "RequestException";
+	this.message = message;
+	this.statusCode = statusCode;
+	this.code = code;
+	this.parameter = parameter || null;
+}
+util.inherits(RequestException, Error);
+
+// the parameter value, or null if it wasn't provided
+function getParam(body, name) {
+	var value = body[name];
+	return typeof(value) === "undefined" || value === null || value === "" ? null : value;
+}
+
+function parseString(body, name) {
+	var value = getParam(body, name);
+	if (value !== null && typeof(value) !== "string") {
+		throw new RequestException(400, "invalid_parameter", name+" must be a string.", name);
+	}
+	return value;
+}
+
+// a number between `min` and `max`, where either can be null for no limit
+// if `exclusiveMin` is true the number must be greater than `min`, and if `integer` is true it must be an integer
+function parseNumber(body, name, min, max, exclusiveMin, integer) {
+	var value = getParam(body, name);
+	if (value === null) {
+		return null;
+	}
+	var number = typeof(value) === "string" && /^-?(\d+\.?\d*|\.\d+)$/.test(value.trim()) ? parseFloat(value) : value;
+	var valid = typeof(number) === "number" && isFinite(number) && (!integer || number % 1 === 0);
+	if (valid && min !== null) {
+		valid = exclusiveMin ? number > min : number >= min;
+	}
+	if (valid && max !== null) {
+		valid = number <= max;
+	}
+	if (!valid) {
+		var range = [];
+		if (min !== null) {
+			range.push((exclusiveMin ? "greater than " : "at least ")+min);
+		}
+		if (max !== null) {
+			range.push("at most "+max);
+		}
+		throw new RequestException(400, "invalid_parameter", name+" must be "+(integer ? "an integer" : "a number")+(range.length ? " that is "+range.join(" and ") : "")+".", name);
+	}
+	return number;
+}
+
+function parseInteger(body, name, min) {
+	return parseNumber(body, name, min, null, false, true);
+}
+
+function parseBoolean(body, name) {
+	var value = getParam(body, name);
+	if (value === null || typeof(value) === "boolean") {
+		return value;
+	}
+	if (value === "true" || value === "false") {
+		return value === "true";
+	}
+	throw new RequestException(400, "invalid_parameter", name+" must be \"true\" or \"false\".", name);
+}
+
+// an object of names and values, or "Name: value" strings in an array or separated by new lines
+function parseHeaders(body, name) {
+	var value = getParam(body, name);
+	if (value === null) {
+		return null;
+	}
+	var headers = {};
+	var valid = true;
+	if (typeof(value) === "object" && !Array.isArray(value)) {
+		Object.keys(value).forEach((headerName) => {
+			valid = valid && typeof(value[headerName]) === "string";
+			headers[headerName] = value[headerName];
+		});
+	}
+	else {
+		var lines = typeof(value) === "string" ? value.split(/\r?\n/) : value;
+		valid = Array.isArray(lines) && lines.every((line) => {
+			var match = typeof(line) === "string" ? /^([^:\s]+)\s*:\s*(.*)$/.exec(line.trim()) : null;
+			if (match) {
+				headers[match[1]] = match[2];
+			}
+			return !!match;
+		});
+	}
+	if (!valid) {
+		throw new RequestException(400, "invalid_parameter", name+" must be an object of strings or a list of \"Name: value\" strings.", name);
+	}
+	return headers;
+}
+
+// an object of names and values, or the value of a "Cookie" header
+function parseCookies(body, name) {
+	var value = getParam(body, name);
+	if (value === null || typeof(value) === "string") {
+		return value;
+	}
+	if (typeof(value) !== "object" || Array.isArray(value) || Object.keys(value).some((cookieName) => typeof(value[cookieName]) !== "string")) {
+		throw new RequestException(400, "invalid_parameter", name+" must be an object of strings or a string.", name);
+	}
+	return value;
+}
+
+// an array of strings, or a comma separated string
+function parseList(body, name) {
+	var value = getParam(body, name);
+	if (value === null) {
+		return null;
+	}
+	var list = typeof(value) === "string" ? value.split(",") : value;
+	if (!Array.isArray(list) || list.length === 0 || list.some((item) => typeof(item) !== "string")) {
+		throw new RequestException(400, "invalid_parameter", name+" must be a list of strings.", name);
+	}
+	return list;
+}
+
 module.exports = ThumbnailGeneratorService;
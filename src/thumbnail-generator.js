@@ -1,6 +1,5 @@
 var request = require("request");
 var url = require("url");
-var util = require("util");
 var crypto = require("crypto");
 var path = require("path");
 var m3u8 = require("m3u8");
@@ -10,47 +9,132 @@ var Logger = require("./logger");
 var nullLogger = require("./null-logger");
 var config = require("./config");
 var utils = require("./utils");
+var SpriteSheet = require("./sprite-sheet");
+var FileStorage = require("./file-storage");
+var imageFormats = require("./image-formats");
+var segmentTags = require("./segment-tags");
+var FfmpegScheduler = require("./ffmpeg-scheduler");
 
 var ffmpegTimeout = config.ffmpegTimeout;
 const extensionRegex = /\.([^.?#;]+)[^.]*$/;
+const variantSelectors = ["first", "lowestBandwidth", "highestBandwidth", "closestResolution"];
+// frames are checked using a greyscale copy of this width and height (px)
+const fingerprintSize = 32;
+// the average brightness (0-255) below which a frame is black
+const blackFrameMaxBrightness = 24;
+// the standard deviation of the brightness below which a frame is uniform
+const uniformFrameMaxDeviation = 6;
+// the average difference in brightness to the previous thumbnail below which a frame is frozen
+const frozenFrameMaxDifference = 2;
+// the delay before the first retry when the playlist can't be downloaded (ms). This doubles for each retry
+const playlistRetryDelay = 5000;
+// the maximum delay between playlist retries (ms)
+const maxPlaylistRetryDelay = 60000;
+// the minimum time between playlist reloads (ms), so that a tiny target duration or a slow reload can't cause a tight loop
+const minPlaylistReloadInterval = 1000;
+// how often to check that a playlist that has ended is still available (ms)
+const endedPlaylistCheckInterval = 30000;
+// options that `getOptions()` leaves out, because they are objects or could contain credentials
+const privateOptions = ["storage", "logger", "resumeFrom", "keyRequestHeaders", "http", "scheduler"];
 
 /**
  * Generates thumbnails from a HLS stream and emits them as they are taken.
- * The output names are [outputNamePrefix]-[segment sequence number]-[thumbnail index]
+ * The output names are [outputNamePrefix]-[segment sequence number]-[thumbnail index].[format]
+ * If `sizes` is provided there is a rendition for each size, named [outputNamePrefix]-[segment sequence number]-[thumbnail index]-[size index].[format]
+ * If sprite sheets are enabled the thumbnails are packed into sheets named after their first thumbnail, [thumbnail name]-sheet
  * @constructor
  * @param {Object} options
  * @param {String} options.playlistUrl The url to the hls playlist.
- * @param {String} options.outputDir The path to the directory to output the generated thumbnails.
+ * @param {String} options.outputDir The path to the directory to output the generated thumbnails. Not required if `storage` is provided.
+ * @param {Object} [options.storage] Where to store the thumbnails. See `FileStorage` for the interface. Defaults to a `FileStorage` for `outputDir`.
  * @param {String} options.tempDir The path to a temporary directory.
  * @param {Number} [options.initialThumbnailCount] The number of thumbnails to generate initially, from the end of the stream. If ommitted defaults to taking thumbnails for the entire stream.
  * @param {Number} [options.interval] The interval between thumbnails. If omitted the interval will be calculated automatically using `targetThumbnailCount`.
  * @param {Number} [options.targetThumbnailCount] The number of thumbnails that should be generated over the duration of the stream. Defaults to 30. This will be recalculated if the stream duration changes.
+ * @param {Boolean} [options.sceneChange] Take thumbnails when the scene changes instead of at an interval. Cannot be used with `interval`, `targetThumbnailCount` or `initialThumbnailCount`. Defaults to false.
+ * @param {Number} [options.sceneChangeThreshold] How different a frame has to be to the previous one to count as a scene change, from 0 to 1. Defaults to 0.4.
+ * @param {Number} [options.minSceneChangeGap] The minimum time between thumbnails in scene change mode (seconds). Defaults to 2.
+ * @param {Number} [options.maxSceneChangeGap] If provided a thumbnail will be taken after this long without a scene change (seconds).
+ * @param {Boolean} [options.skipBlackFrames] Do not use frames that are black. Defaults to false.
+ * @param {Boolean} [options.skipUniformFrames] Do not use frames that are nearly all the same colour, e.g. a blank slate. Defaults to false.
+ * @param {Boolean} [options.skipFrozenFrames] Do not use frames that are the same as the previous thumbnail. Defaults to false.
+ * @param {Number} [options.rejectedFrameRetryCount] The number of nearby frames to try when a frame is skipped. Defaults to 2.
+ * @param {Number} [options.rejectedFrameRetryOffset] How far from a skipped frame the next one to try is (seconds). Defaults to 1.
  * @param {Number} [options.thumbnailWidth] The width of the thumbnails to generate (px). If omitted this will be calculated automatically from the height, or default to 150.
  * @param {Number} [options.thumbnailHeight] The height of the thumbnails to generate (px). If omitted this will be calculated automatically from the width.
+ * @param {Array.<Object|String>} [options.sizes] Generate a rendition of each thumbnail for each of these sizes, from the same decode. Each size is
+ *   {width, height} or a string in the form "[width]x[height]", where either can be omitted to keep the aspect ratio. If provided `thumbnailWidth` and `thumbnailHeight` are ignored.
+ * @param {String} [options.format] The image format. One of "jpg", "png", "webp" or "avif". Defaults to "jpg".
+ * @param {Number} [options.quality] The image quality from 0 to 100, where higher is better. Does not apply to "png". Defaults to the encoder default.
  * @param {String|Function} [options.outputNamePrefix] This will be prepended to the thumbnail names. If omitted this will be generated automatically.
+ * @param {Number} [options.spriteSheetColumns] If provided with `spriteSheetRows` the thumbnails will be packed into sprite sheets with this many columns.
+ * @param {Number} [options.spriteSheetRows] If provided with `spriteSheetColumns` the thumbnails will be packed into sprite sheets with this many rows.
+ * @param {Object} [options.keyRequestHeaders] Extra headers to send with requests for AES-128 decryption keys.
+ * @param {Object} [options.http] Options for the requests for playlists, segments, init segments and keys.
+ * @param {Object} [options.http.headers] Headers to send with every request.
+ * @param {Object|String} [options.http.cookies] Cookies to send with every request, as an object of names and values, or the value of a "Cookie" header.
+ * @param {Object} [options.http.auth] {username, password} for basic auth, or {bearer} for a bearer token.
+ * @param {String} [options.http.proxy] The url of a proxy to send the requests through.
+ * @param {Number} [options.http.timeout] The request timeout (seconds). Defaults to 15.
+ * @param {Boolean} [options.http.rejectUnauthorized] Fail requests to servers with invalid TLS certificates. Defaults to true.
+ * @param {String|Buffer} [options.http.ca] Certificate authorities to trust, in PEM format. Defaults to the built in ones.
+ * @param {String|Buffer} [options.http.cert] A client certificate, in PEM format.
+ * @param {String|Buffer} [options.http.key] The private key of the client certificate, in PEM format.
+ * @param {Boolean|Array.<String>} [options.http.propagateQueryParams] Copy query parameters from `playlistUrl` to the variant, segment,
+ *   init segment and key urls, unless they already have them, e.g. for CDN tokens. true for all of them or an array of their names. Defaults to false.
+ * @param {String|Function} [options.variantSelection] How to pick the variant from a master playlist. One of "first", "lowestBandwidth", "highestBandwidth" or "closestResolution" (closest to the thumbnail size, or the largest of `sizes`), or a function which is given an array of `Variant`s and returns one of them. Defaults to "first".
+ * @param {Number} [options.maxBandwidth] If provided variants with a higher bandwidth than this will not be considered, unless there are no others.
+ * @param {Boolean} [options.resetIntervalOnDiscontinuity] Take a thumbnail at the start of each discontinuity and continue the interval from there. Defaults to false.
+ * @param {Object|Promise} [options.resumeFrom] {sn, time} of the last thumbnail that was taken, to continue from there instead of starting again,
+ *   or a promise which resolves with it or null. Thumbnail generation will not start until the promise has resolved.
  * @param {Boolean} [options.ignorePlaylist404] Do not abort immediately if the playlist response is a 404. Defaults to false.
  * @param {Number} [options.playlistRetryCount] The number of times to retry downloding the playlist on an error. Defaults to 2. Can be -1 for unlimited retries.
+ *   Retries wait with an exponential backoff starting at around 5 seconds, up to a minute.
+ * @param {FfmpegScheduler} [options.scheduler] The scheduler to run ffmpeg with, which can be shared between generators to limit how many ffmpeg processes run at once.
+ *   Work on the next segment waits while it is saturated. Defaults to a scheduler for this generator with no limit.
  * @param {Object} [options.logger] An object with `debug`, `info`, `warn` and `error` functions, or null, to disable logging.
  */
 function ThumbnailGenerator(options) {
 	var opts = Object.assign({
 		playlistUrl: null,
 		outputDir: null,
+		storage: null,
 		tempDir: null,
 		initialThumbnailCount: null,
 		interval: null,
-		targetThumbnailCount: !options.interval ? 30 : null,
+		targetThumbnailCount: !options.interval && !options.sceneChange ? 30 : null,
 		thumbnailWidth: !options.thumbnailHeight ? 150 : null,
 		thumbnailHeight: null,
+		sizes: null,
+		format: "jpg",
+		quality: null,
+		sceneChange: false,
+		sceneChangeThreshold: 0.4,
+		minSceneChangeGap: 2,
+		maxSceneChangeGap: null,
+		skipBlackFrames: false,
+		skipUniformFrames: false,
+		skipFrozenFrames: false,
+		rejectedFrameRetryCount: 2,
+		rejectedFrameRetryOffset: 1,
 		outputNamePrefix: null,
+		spriteSheetColumns: null,
+		spriteSheetRows: null,
+		resetIntervalOnDiscontinuity: false,
+		keyRequestHeaders: null,
+		http: null,
+		variantSelection: "first",
+		maxBandwidth: null,
+		resumeFrom: null,
 		ignorePlaylist404: false,
 		playlistRetryCount: 2,
+		scheduler: null,
 		logger: Logger.get('ThumbnailGenerator')
 	}, options || {});
 	if (!opts.playlistUrl) {
 		throw new Error("playlistUrl must be provided.");
 	}
-	if (!opts.outputDir) {
+	if (!opts.outputDir && !opts.storage) {
 		throw new Error("outputDir must be provided.");
 	}
 	if (!opts.tempDir) {
@@ -59,30 +143,132 @@ function ThumbnailGenerator(options) {
 	if (opts.targetThumbnailCount && opts.interval) {
 		throw new Error("You cannot use targetThumbnailCount and interval options together.");
 	}
+	if (opts.sceneChange && (opts.targetThumbnailCount || opts.interval || opts.initialThumbnailCount)) {
+		throw new Error("You cannot use sceneChange with the targetThumbnailCount, interval or initialThumbnailCount options.");
+	}
+	if (typeof opts.sceneChangeThreshold !== "number" || isNaN(opts.sceneChangeThreshold) || opts.sceneChangeThreshold <= 0 || opts.sceneChangeThreshold > 1) {
+		throw new Error("sceneChangeThreshold must be a number greater than 0 and up to 1.");
+	}
+	if (typeof opts.minSceneChangeGap !== "number" || isNaN(opts.minSceneChangeGap) || opts.minSceneChangeGap < 0) {
+		throw new Error("minSceneChangeGap must be a number that is at least 0.");
+	}
+	if (opts.maxSceneChangeGap !== null && (typeof opts.maxSceneChangeGap !== "number" || isNaN(opts.maxSceneChangeGap) || opts.maxSceneChangeGap <= 0 || opts.maxSceneChangeGap < opts.minSceneChangeGap)) {
+		throw new Error("maxSceneChangeGap must be a number greater than 0 and at least minSceneChangeGap.");
+	}
+	if (opts.rejectedFrameRetryCount % 1 !== 0 || opts.rejectedFrameRetryCount < 0) {
+		throw new Error("rejectedFrameRetryCount must be an integer that is at least 0.");
+	}
+	if (typeof opts.rejectedFrameRetryOffset !== "number" || isNaN(opts.rejectedFrameRetryOffset) || opts.rejectedFrameRetryOffset <= 0) {
+		throw new Error("rejectedFrameRetryOffset must be a number greater than 0.");
+	}
+	imageFormats.validate(opts.format, opts.quality);
+	if ((opts.spriteSheetColumns && !opts.spriteSheetRows) || (!opts.spriteSheetColumns && opts.spriteSheetRows)) {
+		throw new Error("spriteSheetColumns and spriteSheetRows must be provided together.");
+	}
+	if (typeof opts.variantSelection !== "function" && variantSelectors.indexOf(opts.variantSelection) === -1) {
+		throw new Error("variantSelection must be a function or one of "+variantSelectors.join(", ")+".");
+	}
+	var http = this._parseHttpOptions(opts.http || {});
 
 	this._playlistUrl = opts.playlistUrl;
 	this._targetThumbnailCount = opts.targetThumbnailCount;
 	this._interval = opts.interval;
 	this._initialThumbnailCount = opts.initialThumbnailCount;
-	this._thumbnailSize = this._buildFfmpegSize(opts.thumbnailWidth, opts.thumbnailHeight);
-	this._outputDir = opts.outputDir;
+	this._sceneChange = opts.sceneChange;
+	this._sceneChangeThreshold = opts.sceneChangeThreshold;
+	this._minSceneChangeGap = opts.minSceneChangeGap;
+	this._maxSceneChangeGap = opts.maxSceneChangeGap;
+	this._skipBlackFrames = opts.skipBlackFrames;
+	this._skipUniformFrames = opts.skipUniformFrames;
+	this._skipFrozenFrames = opts.skipFrozenFrames;
+	this._rejectedFrameRetryCount = opts.rejectedFrameRetryCount;
+	this._rejectedFrameRetryOffset = opts.rejectedFrameRetryOffset;
+	// [{width, height}] where either can be null
+	this._sizes = opts.sizes ? this._parseSizes(opts.sizes) : [{
+		width: opts.thumbnailWidth || null,
+		height: opts.thumbnailHeight || null
+	}];
+	// the sizes are only in the file names if they were provided as a list
+	this._nameRenditions = !!opts.sizes;
+	this._format = opts.format;
+	this._quality = opts.quality;
+	this._storage = opts.storage || new FileStorage({
+		dir: opts.outputDir
+	});
 	this._tempDir = opts.tempDir;
 	this._outputNamePrefix = opts.outputNamePrefix;
 	this._ignorePlaylist404 = opts.ignorePlaylist404;
 	this._playlistRetryCount = opts.playlistRetryCount;
+	this._resetIntervalOnDiscontinuity = opts.resetIntervalOnDiscontinuity;
+	this._keyRequestHeaders = opts.keyRequestHeaders;
+	this._http = http;
+	this._variantSelection = opts.variantSelection;
+	this._maxBandwidth = opts.maxBandwidth;
 	this._logger = opts.logger || nullLogger;
+	this._options = opts;
+	this._scheduler = opts.scheduler || new FfmpegScheduler({
+		concurrency: Infinity
+	});
+	// the ffmpeg jobs for this generator
+	this._ffmpegQueue = this._scheduler.createQueue((job) => {
+		this._emit("ffmpegRun", job);
+	});
+	try {
+		// a sprite sheet for each size, or empty if sprite sheets are disabled
+		this._spriteSheets = !opts.spriteSheetColumns ? [] : this._sizes.map(() => {
+			return new SpriteSheet({
+				columns: opts.spriteSheetColumns,
+				rows: opts.spriteSheetRows,
+				storage: this._storage,
+				tempDir: this._tempDir,
+				format: this._format,
+				quality: this._quality,
+				ffmpegQueue: this._ffmpegQueue,
+				logger: this._logger
+			});
+		});
+	} catch(err) {
+		// the options are invalid, so the queue won't be used
+		this._ffmpegQueue.cancel();
+		throw err;
+	}
 
 	this._resolvedPlaylistUrl = null;
+	// the variant picked from the master playlist, or null if there wasn't one
+	this._variant = null;
 	this._segmentTargetDuration = null;
+	// when the last successful playlist download started
+	this._playlistLoadStartTime = null;
+	// added to the media sequence numbers from the playlist, so that sequence numbers keep increasing if it goes backwards. See `_resyncMediaSequence()`
+	this._snOffset = 0;
 	// {sn, time} sequence number and time into that segment
 	// that the last thumbnail was taken
 	this._lastLocation = null;
+	// the sequence number of the last segment that was checked for scene changes
+	this._lastSceneChangeSN = null;
+	// {sn, location} the last frame of the last segment that was checked for scene changes
+	this._lastFrame = null;
+	// the fingerprint of the last thumbnail, for detecting frozen frames
+	this._lastFingerprint = null;
 	this._grabThumbnailsTimer = null;
 	this._destroyed = false;
 	this._emitter = ee({});
 	this._parsedPlaylist = null;
+	// promises for init segment buffers, keyed by url and byte range
+	this._initSegments = {};
+	// promises for decryption key buffers, keyed by url
+	this._keys = {};
 	this._playlistEnded = false;
 	this._endedEventEmitted = false;
+	// see `getStats()`
+	this._stats = {
+		generatedThumbnailCount: 0,
+		lastThumbnailTime: null,
+		lastPlaylistFetchTime: null,
+		playlistErrorCount: 0,
+		segmentErrorCount: 0,
+		thumbnailErrorCount: 0
+	};
 
 	this._getResolvedPlaylistUrl().then((resolvedPlaylistUrl) => {
 		this._resolvedPlaylistUrl = resolvedPlaylistUrl;
@@ -96,6 +282,24 @@ function ThumbnailGenerator(options) {
 		this.destroy();
 		throw err;
 	}).then(() => {
+		// wait for the location to resume from, if it is still being loaded
+		return Promise.resolve(opts.resumeFrom).catch((err) => {
+			this._logger.error("Error getting location to resume from.", err.stack);
+			return null;
+		});
+	}).then((resumeFrom) => {
+		if (this._destroyed) {
+			return;
+		}
+		if (resumeFrom) {
+			this._logger.debug("Resuming.", resumeFrom);
+			this._lastLocation = {
+				sn: resumeFrom.sn,
+				time: resumeFrom.time
+			};
+			// in scene change mode segments up to this one have already been checked
+			this._lastSceneChangeSN = resumeFrom.sn;
+		}
 		this._grabThumbnails();
 	});
 }
@@ -107,7 +311,19 @@ function ThumbnailGenerator(options) {
  * - `playlistChanged` when the playlist changes. The second argument is the playlist.
  * - `playlistEnded` when the playlist has ended and all thumbnails have been generated.
  * - `playlistRemoved` when the playlist is no longer accessible.
- * - `newThumbnail` when there is a new thumbnail. The second argument is the thumbnail.
+ * - `variantSelected` when a variant has been picked from a master playlist. The second argument is the `Variant`.
+ * - `newThumbnail` when there is a new thumbnail. The second argument is the thumbnail, with `sn`, `name`, `time`,
+ *   `discontinuitySequence`, `sprite` if sprite sheets are enabled, `programDateTime` (ISO string) if the playlist has EXT-X-PROGRAM-DATE-TIME tags
+ *   and `renditions`, an array with `name`, `width`, `height` and `sprite` for each size. `name` and `sprite` are the same as the first rendition.
+ *   In scene change mode it also has `sceneScore`, how different the frame was to the previous one from 0 to 1.
+ * - `frameRejected` when a frame is skipped because it is black, uniform or frozen. The second argument has `sn`, `time` and `reason`,
+ *   which is "black", "uniform" or "frozen". A nearby frame is tried instead, up to `rejectedFrameRetryCount` times.
+ * - `playlistRequest` after each attempt to download the playlist. The second argument has `success` and `duration` (ms).
+ * - `segmentRequest` after each attempt to download a segment. The second argument has `sn`, `success`, `bytes` (null if it failed) and `duration` (ms).
+ * - `mediaSequenceReset` when the media sequence number has gone backwards, e.g. because the stream restarted. The second argument has
+ *   `mediaSequence`, the new media sequence number, and `firstSn`, the sequence number that is used for it instead. The generator starts
+ *   again as if the playlist was new, and the sequence numbers continue from the previous playlist so that the thumbnail names stay unique.
+ * - `ffmpegRun` after ffmpeg has run. The second argument has `success`, `duration` and `waitTime`, how long it waited for the scheduler (ms).
  * - `error` if an exception is thrown before the generator has initialized.
  * @return {Object} An event emitter.
  */
@@ -117,12 +333,74 @@ ThumbnailGenerator.prototype.getEmitter = function() {
 
 /**
  * Get the latest version of the playlist.
+ * This has `segments`, `segmentTags`, `properties` and `firstSn`, the sequence number used for the first segment.
+ * `firstSn` is the media sequence number from the playlist, unless the media sequence has gone backwards. See the `mediaSequenceReset` event.
  * @return {Object} The playlist.
  */
 ThumbnailGenerator.prototype.getPlaylist = function() {
 	return this._parsedPlaylist;
 };
 
+/**
+ * @typedef Variant
+ * @type Object
+ * @property {String} url The resolved url of the media playlist.
+ * @property {Number|null} bandwidth The bandwidth of the variant (bits per second).
+ * @property {Number|null} width The width of the video (px).
+ * @property {Number|null} height The height of the video (px).
+ */
+
+/**
+ * Get the variant that was picked from the master playlist.
+ * @return {Variant|null} The variant, or null if the playlist was not a master playlist or it hasn't been loaded yet.
+ */
+ThumbnailGenerator.prototype.getVariant = function() {
+	return this._variant;
+};
+
+/**
+ * Get the storage the thumbnails are written to.
+ * @return {Object} The storage.
+ */
+ThumbnailGenerator.prototype.getStorage = function() {
+	return this._storage;
+};
+
+/**
+ * Get the options the generator is using, including the defaults.
+ * `storage`, `logger`, `resumeFrom`, `keyRequestHeaders`, `http` and `scheduler` are left out.
+ * @return {Object} The options.
+ */
+ThumbnailGenerator.prototype.getOptions = function() {
+	var options = Object.assign({}, this._options);
+	privateOptions.forEach((name) => {
+		delete options[name];
+	});
+	return options;
+};
+
+/**
+ * @typedef Stats
+ * @type Object
+ * @property {Number} generatedThumbnailCount The number of thumbnails that have been generated.
+ * @property {Number|null} lastThumbnailTime When the last thumbnail was generated (ms), or null if there hasn't been one.
+ * @property {Number|null} lastPlaylistFetchTime When the playlist was last downloaded and parsed successfully (ms), or null if it hasn't been.
+ * @property {Number} playlistErrorCount The number of times the playlist could not be downloaded or parsed.
+ * @property {Number} segmentErrorCount The number of times a segment, or its init segment or key, could not be downloaded.
+ * @property {Number} thumbnailErrorCount The number of times generating thumbnails for a segment failed, including when the segment could not be downloaded.
+ * @property {Number} queuedFfmpegJobs The number of ffmpeg jobs waiting for the scheduler.
+ */
+
+/**
+ * Get statistics about what the generator has done.
+ * @return {Stats} The stats.
+ */
+ThumbnailGenerator.prototype.getStats = function() {
+	return Object.assign({
+		queuedFfmpegJobs: this._ffmpegQueue.getLength()
+	}, this._stats);
+};
+
 /**
  * Destroy the generator.
  * It will stop generating thumbnails and emitting events.
@@ -135,6 +413,11 @@ ThumbnailGenerator.prototype.destroy = function() {
 	if (this._grabThumbnailsTimer !== null) {
 		clearTimeout(this._grabThumbnailsTimer);
 	}
+	this._spriteSheets.forEach((spriteSheet) => {
+		spriteSheet.destroy();
+	});
+	this._ffmpegQueue.cancel();
+	this._setLastFrame(null);
 	this._destroyed = true;
 };
 
@@ -145,8 +428,40 @@ ThumbnailGenerator.prototype._buildFfmpegSize = function(w, h) {
 	return (w || "?")+"x"+(h || "?");
 };
 
+ThumbnailGenerator.prototype._parseSizes = function(sizes) {
+	if (!Array.isArray(sizes) || sizes.length === 0) {
+		throw new Error("sizes must be a non-empty array.");
+	}
+	return sizes.map((size) => {
+		if (typeof size === "string") {
+			var match = /^(\d*|\?)x(\d*|\?)$/.exec(size.trim());
+			if (!match) {
+				throw new Error("Invalid size \""+size+"\". Must be in the form [width]x[height].");
+			}
+			size = {
+				width: parseInt(match[1]) || null,
+				height: parseInt(match[2]) || null
+			};
+		}
+		var parsed = {
+			width: size.width || null,
+			height: size.height || null
+		};
+		// throws if neither is provided
+		this._buildFfmpegSize(parsed.width, parsed.height);
+		return parsed;
+	});
+};
+
+// the suffix added to the thumbnail name for the rendition of the size at `sizeIndex`
+ThumbnailGenerator.prototype._getRenditionSuffix = function(sizeIndex) {
+	return this._nameRenditions ? "-"+sizeIndex : "";
+};
+
 ThumbnailGenerator.prototype._grabThumbnails = function() {
 	this._logger.debug("Grabbing thumbnails.");
+	// determines how long to wait before reloading the playlist
+	var playlistChanged = false;
 	return this._getPlaylist().then((parsed) => {
 		if (this._destroyed) {
 			return;
@@ -168,16 +483,24 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 			return;
 		}
 
+		if (!this._resyncMediaSequence(parsed)) {
+			this._logger.warn("Playlist is older than the previous one. Ignoring it.");
+			return;
+		}
+
+		playlistChanged = true;
 		this._parsedPlaylist = parsed;
 		this._emit("playlistChanged", this._parsedPlaylist);
+		this._pruneCaches(parsed.segmentTags);
 
 		var properties = parsed.properties;
 		var segments = parsed.segments;
-		var firstSN = properties.mediaSequence || 0;
+		var firstSN = parsed.firstSn;
 		this._segmentTargetDuration = properties.targetDuration;
 		this._playlistEnded = !!properties.foundEndlist;
 		var lastLocationSN = this._lastLocation ? this._lastLocation.sn : null;
 		var duration = this._calculateSegmentStartTime(segments, segments.length);
+		var segmentDates = this._getSegmentDates(segments, parsed.segmentTags);
 
 		if (this._targetThumbnailCount) {
 			// automatically adjust the interval so that we have the requested thumbnail count
@@ -208,7 +531,22 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 			nextThumbnailTime = Math.max(0, duration - (this._initialThumbnailCount * this._interval));
 		}
 
-		var startSegment = this._getSegmentInfoAtTime(segments, nextThumbnailTime);
+		if (this._resetIntervalOnDiscontinuity && lastLocationSegmentIndex !== null) {
+			// if there has been a discontinuity since the last thumbnail the next one should be at the start of it
+			var discontinuityIndex = this._findDiscontinuity(parsed.segmentTags, lastLocationSegmentIndex+1);
+			if (discontinuityIndex !== null) {
+				nextThumbnailTime = Math.min(nextThumbnailTime, this._calculateSegmentStartTime(segments, discontinuityIndex));
+			}
+		}
+
+		// time into the playlist of the last thumbnail, or null if it isn't in the playlist
+		// used for the gaps between thumbnails in scene change mode
+		var lastThumbnailTime = null;
+		if (lastLocationSegmentIndex !== null && lastLocationSegmentIndex < segments.length) {
+			lastThumbnailTime = this._calculateSegmentStartTime(segments, lastLocationSegmentIndex) + this._lastLocation.time;
+		}
+
+		var startSegment = this._sceneChange ? this._getSceneChangeStartSegment(segments, firstSN) : this._getSegmentInfoAtTime(segments, nextThumbnailTime);
 		if (!startSegment) {
 			this._logger.debug("Next thumbnail segment not available yet.");
 			return Promise.resolve();
@@ -218,18 +556,32 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 		return handleSegment.bind(this)(startSegment.index);
 
 		function handleSegment(i) {
-			return Promise.resolve().then(() => {
+			// if other generators have given the scheduler too much to do wait until it catches up
+			return this._scheduler.waitUntilReady().then(() => {
+				if (this._destroyed) {
+					return;
+				}
 				var segment = segments[i];
 				var sn = firstSN+i;
+				// the number from the playlist, which is different to `sn` if the media sequence has been reset
+				var mediaSequenceNumber = (properties.mediaSequence || 0)+i;
 				var startTime = time;
 				var endTime = time + segment.properties.duration;
 				time = endTime;
 
-				if (endTime > nextThumbnailTime) {
+				if (this._resetIntervalOnDiscontinuity && parsed.segmentTags[i].discontinuity) {
+					this._logger.debug("Discontinuity. Resetting interval.", sn);
+					nextThumbnailTime = Math.min(nextThumbnailTime, startTime);
+					lastThumbnailTime = null;
+				}
+
+				if (this._sceneChange || endTime > nextThumbnailTime) {
 					// generate thumbnails from this file
 					// the start time could be negative if the last thumbnail for the last segment failed
-					var timeIntoSegment = Math.max(0, nextThumbnailTime-startTime);
-					return this._generateThumbnails(segment, sn, timeIntoSegment).then((thumbnailData) => {
+					// in scene change mode all of every segment is checked
+					var timeIntoSegment = this._sceneChange ? 0 : Math.max(0, nextThumbnailTime-startTime);
+					var lastThumbnailTimeInSegment = lastThumbnailTime !== null ? lastThumbnailTime-startTime : null;
+					return this._generateThumbnails(segment, parsed.segmentTags[i], sn, mediaSequenceNumber, timeIntoSegment, lastThumbnailTimeInSegment).then((thumbnailData) => {
 						if (this._destroyed) {
 							return;
 						}
@@ -237,15 +589,39 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 							var thumbnail = {
 								sn: sn,
 								name: item.name,
-								time: item.time
+								time: item.time,
+								discontinuitySequence: parsed.segmentTags[i].discontinuitySequence
 							};
+							if (item.sprite) {
+								thumbnail.sprite = item.sprite;
+							}
+							if (segmentDates[i] !== null) {
+								thumbnail.programDateTime = new Date(segmentDates[i] + (item.time * 1000)).toISOString();
+							}
+							if (typeof(item.sceneScore) === "number") {
+								thumbnail.sceneScore = item.sceneScore;
+							}
+							thumbnail.renditions = item.renditions;
 							this._lastLocation = thumbnail;
+							this._stats.generatedThumbnailCount++;
+							this._stats.lastThumbnailTime = Date.now();
+							lastThumbnailTime = startTime + item.time;
 							nextThumbnailTime = startTime + item.time + this._interval;
 							this._logger.debug("New thumbnail.", thumbnail);
 							this._emit("newThumbnail", thumbnail);
 						});
 					}).catch((err) => {
+						if (this._destroyed) {
+							// the ffmpeg queue has been cancelled
+							return;
+						}
+						this._stats.thumbnailErrorCount++;
 						this._logger.error("Error whilst generating thumbnails.", err.stack);
+					}).then(() => {
+						if (this._sceneChange) {
+							// don't check this segment again, even if it failed
+							this._lastSceneChangeSN = sn;
+						}
 					});
 				}
 				else {
@@ -280,10 +656,13 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 		if (this._playlistEnded) {
 			// We are now just checking if the playlist is still online.
 			// No need to refresh that often.
-			interval = 30000;
+			interval = endedPlaylistCheckInterval;
 		}
 		else if (this._segmentTargetDuration) {
-			interval = Math.max(1000, (this._segmentTargetDuration/2)*1000);
+			// RFC 8216 6.3.4: wait the target duration if the playlist changed, or half of it if it didn't,
+			// from when the last download started
+			var reloadTime = (playlistChanged ? this._segmentTargetDuration : this._segmentTargetDuration/2)*1000;
+			interval = Math.max(minPlaylistReloadInterval, reloadTime - (Date.now() - this._playlistLoadStartTime));
 		}
 		else {
 			interval = 2000;
@@ -295,6 +674,60 @@ ThumbnailGenerator.prototype._grabThumbnails = function() {
 	});
 };
 
+// set `firstSn` on the new playlist, and start again if its media sequence has gone backwards
+// returns false if the playlist should be ignored because it is an old copy of the previous one
+ThumbnailGenerator.prototype._resyncMediaSequence = function(newPlaylist) {
+	var mediaSequence = newPlaylist.properties.mediaSequence || 0;
+	var previous = this._parsedPlaylist;
+	var endSn = null;
+	if (previous && mediaSequence < (previous.properties.mediaSequence || 0)) {
+		if (this._isOlderPlaylist(newPlaylist, previous)) {
+			// e.g. a cache or another origin served a stale copy
+			return false;
+		}
+		endSn = previous.firstSn + previous.segments.length;
+	}
+	else if (!previous && this._lastLocation && this._lastLocation.sn >= mediaSequence + this._snOffset + newPlaylist.segments.length) {
+		// resuming, and the segment the last thumbnail was taken from is after the end of the playlist
+		endSn = this._lastLocation.sn + 1;
+	}
+
+	if (endSn !== null) {
+		this._snOffset = endSn - mediaSequence;
+		this._logger.warn("Media sequence has gone backwards. Starting again.", mediaSequence, endSn);
+		this._lastLocation = null;
+		this._lastSceneChangeSN = null;
+		if (this._lastFrame) {
+			utils.unlink(this._lastFrame.location).catch(() => {});
+			this._lastFrame = null;
+		}
+		this._lastFingerprint = null;
+	}
+	newPlaylist.firstSn = mediaSequence + this._snOffset;
+	if (endSn !== null) {
+		this._emit("mediaSequenceReset", {
+			mediaSequence: mediaSequence,
+			firstSn: newPlaylist.firstSn
+		});
+	}
+	return true;
+};
+
+// an older copy of a playlist has the same segment uris at the same media sequence numbers
+ThumbnailGenerator.prototype._isOlderPlaylist = function(playlist, newerPlaylist) {
+	var offset = (newerPlaylist.properties.mediaSequence || 0) - (playlist.properties.mediaSequence || 0);
+	var overlap = Math.min(playlist.segments.length - offset, newerPlaylist.segments.length);
+	if (overlap <= 0) {
+		return false;
+	}
+	for (var i=0; i<overlap; i++) {
+		if (playlist.segments[offset+i].properties.uri !== newerPlaylist.segments[i].properties.uri) {
+			return false;
+		}
+	}
+	return true;
+};
+
 ThumbnailGenerator.prototype._hasPlaylistChanged = function(newPlaylist) {
 	return !(
 		this._parsedPlaylist &&
@@ -304,58 +737,334 @@ ThumbnailGenerator.prototype._hasPlaylistChanged = function(newPlaylist) {
 };
 
 // generate thumbnails for a particular segment
-ThumbnailGenerator.prototype._generateThumbnails = function(segment, segmentSN, timeIntoSegment) {
-	var segmentUrl = url.resolve(this._resolvedPlaylistUrl, segment.properties.uri);
-	return this._getUrlBuffer(segmentUrl).then((buffer) => {
+// `mediaSequenceNumber` is the segment's number in the playlist, which is needed for decryption
+// in scene change mode `lastThumbnailTime` is the time of the last thumbnail relative to the start of the segment, or null if there isn't one
+ThumbnailGenerator.prototype._generateThumbnails = function(segment, tags, segmentSN, mediaSequenceNumber, timeIntoSegment, lastThumbnailTime) {
+	var segmentUrl = this._resolveUrl(this._resolvedPlaylistUrl, segment.properties.uri);
+	return this._getSegmentBuffer(segmentUrl, tags, segmentSN, mediaSequenceNumber).catch((err) => {
+		this._stats.segmentErrorCount++;
+		throw err;
+	}).then((buffer) => {
 		return utils.ensureExists(this._tempDir).then(() => {
 			var segmentBaseName = (typeof this._outputNamePrefix === "function" ? this._outputNamePrefix() : this._outputNamePrefix)+"-"+segmentSN;
-			var extension = this._getExtension(segmentUrl);
+			// fragmented mp4 segments have the init segment prepended
+			var extension = tags.map ? "mp4" : this._getExtension(segmentUrl);
 			var segmentFileLocation = path.join(this._tempDir, segmentBaseName+"."+extension);
 			return utils.writeFile(segmentFileLocation, buffer).then(() => {
 				var outputBaseFilePath = path.join(this._tempDir, segmentBaseName);
-				return this._generateThumbnailsWithFfmpeg(segmentFileLocation, segment, timeIntoSegment, outputBaseFilePath);
+				var promise = null;
+				if (this._sceneChange) {
+					promise = this._generateSceneChangeThumbnails(segmentFileLocation, segment, tags, segmentSN, timeIntoSegment, lastThumbnailTime, outputBaseFilePath);
+				}
+				else {
+					promise = this._generateThumbnailsWithFfmpeg(segmentFileLocation, segment, timeIntoSegment, outputBaseFilePath);
+				}
+				return promise.then((captures) => {
+					return this._rejectFrames(captures, segmentFileLocation, segment, segmentSN, outputBaseFilePath);
+				});
 			}).catch((err) => {
 				utils.unlink(segmentFileLocation);
 				throw err;
-			}).then((files) => {
+			}).then((captures) => {
 				utils.unlink(segmentFileLocation);
 
 				if (this._destroyed) {
 					return Promise.resolve([]);
 				}
 
-				// move the files to the output folder with proper names
-				var promises = files.map((location, i) => {
-					if (!location) {
-						// generation failed for some reason
-						// might have been just past the end of the file
-						return Promise.resolve(null);
-					}
-					var newFileName = segmentBaseName+"-"+i+".jpg";
-					var newLocation = path.join(this._outputDir, newFileName);
-					return utils.ensureExists(this._outputDir).then(() => {
-						return utils.move(location, newLocation).then(() => {
-							return Promise.resolve(newFileName);
-						});
+				var promise = this._spriteSheets.length > 0 ? this._addToSpriteSheets(captures, segmentBaseName) : this._moveToStorage(captures, segmentBaseName);
+				return promise.then((outputs) => {
+					return outputs.map((renditions, i) => {
+						if (!renditions) {
+							return null;
+						}
+						var item = {
+							name: renditions[0].name,
+							time: captures[i].time,
+							renditions: renditions
+						};
+						if (renditions[0].sprite) {
+							item.sprite = renditions[0].sprite;
+						}
+						if (typeof(captures[i].sceneScore) === "number") {
+							item.sceneScore = captures[i].sceneScore;
+						}
+						return item;
+					}).filter((a) => {
+						// filter out the nulls
+						return !!a;
 					});
 				});
-				return Promise.all(promises);
-			}).then((fileNames) => {
-				return fileNames.map((fileName, i) => {
-					if (!fileName) {
-						return null;
-					}
+			});
+		});
+	});
+};
+
+// move the renditions of each capture to storage with proper names
+// resolves with an array containing the renditions of each capture, or null if there were none
+ThumbnailGenerator.prototype._moveToStorage = function(captures, segmentBaseName) {
+	return this._getRenditionDimensions(captures).then((dimensions) => {
+		return Promise.all(captures.map((capture, i) => {
+			if (!capture) {
+				// generation failed for some reason
+				// might have been just past the end of the file
+				return Promise.resolve(null);
+			}
+			return Promise.all(capture.locations.map((location, sizeIndex) => {
+				var newFileName = segmentBaseName+"-"+i+this._getRenditionSuffix(sizeIndex)+"."+this._format;
+				return this._storage.put(newFileName, location).then(() => {
 					return {
-						name: fileName,
-						time: timeIntoSegment + (this._interval*i)
+						name: newFileName,
+						width: dimensions[sizeIndex].width,
+						height: dimensions[sizeIndex].height
 					};
-				}).filter((a) => {
-					// filter out the nulls
-					return !!a;
 				});
+			}));
+		}));
+	});
+};
+
+// get the {width, height} of each size from the first thumbnail that was generated
+// only sizes with a dimension that was calculated automatically need to be checked
+ThumbnailGenerator.prototype._getRenditionDimensions = function(captures) {
+	var capture = captures.find((capture) => {
+		return !!capture;
+	});
+	if (!capture) {
+		return Promise.resolve([]);
+	}
+	return Promise.all(this._sizes.map((size, sizeIndex) => {
+		if (size.width && size.height) {
+			return Promise.resolve(size);
+		}
+		return imageFormats.getDimensions(capture.locations[sizeIndex]);
+	}));
+};
+
+// add the renditions of each capture to the sprite sheet for their size one at a time, in order
+// resolves with an array containing the renditions of each capture, or null if there were none
+ThumbnailGenerator.prototype._addToSpriteSheets = function(captures, segmentBaseName) {
+	var outputs = [];
+	return captures.reduce((promise, capture, i) => {
+		return promise.then(() => {
+			if (!capture) {
+				outputs.push(null);
+				return;
+			}
+			var renditions = [];
+			return capture.locations.reduce((promise, location, sizeIndex) => {
+				return promise.then(() => {
+					var tileName = segmentBaseName+"-"+i+this._getRenditionSuffix(sizeIndex);
+					return this._spriteSheets[sizeIndex].addTile(location, tileName);
+				}).then((spriteLocation) => {
+					renditions.push({
+						name: spriteLocation.name,
+						width: spriteLocation.w,
+						height: spriteLocation.h,
+						sprite: {
+							x: spriteLocation.x,
+							y: spriteLocation.y,
+							w: spriteLocation.w,
+							h: spriteLocation.h
+						}
+					});
+				});
+			}, Promise.resolve()).then(() => {
+				outputs.push(renditions);
+			}).catch((err) => {
+				this._logger.error("Error adding thumbnail to sprite sheet.", err.stack);
+				// tiles that were added have been moved, so this only removes the rest
+				capture.locations.forEach((location) => {
+					utils.unlink(location).catch(() => {});
+				});
+				outputs.push(null);
 			});
 		});
+	}, Promise.resolve()).then(() => {
+		return outputs;
+	});
+};
+
+// get the decrypted segment data, with the init segment prepended if there is one
+ThumbnailGenerator.prototype._getSegmentBuffer = function(segmentUrl, tags, segmentSN, mediaSequenceNumber) {
+	var initSegmentPromise = tags.map ? this._getInitSegmentBuffer(tags.map) : Promise.resolve(null);
+	var startTime = Date.now();
+	var segmentPromise = this._getUrlBuffer(segmentUrl, {
+		byteRange: tags.byteRange
+	}).then((buffer) => {
+		this._emit("segmentRequest", {
+			sn: segmentSN,
+			success: true,
+			bytes: buffer.length,
+			duration: Date.now() - startTime
+		});
+		return buffer;
+	}, (err) => {
+		this._emit("segmentRequest", {
+			sn: segmentSN,
+			success: false,
+			bytes: null,
+			duration: Date.now() - startTime
+		});
+		throw err;
+	}).then((buffer) => {
+		return tags.key ? this._decrypt(buffer, tags.key, mediaSequenceNumber) : buffer;
+	});
+	return Promise.all([initSegmentPromise, segmentPromise]).then((buffers) => {
+		var initSegmentBuffer = buffers[0];
+		var buffer = buffers[1];
+		return initSegmentBuffer ? Buffer.concat([initSegmentBuffer, buffer]) : buffer;
+	});
+};
+
+ThumbnailGenerator.prototype._getInitSegmentKey = function(map) {
+	var byteRange = map.byteRange;
+	return this._resolveUrl(this._resolvedPlaylistUrl, map.uri)+"|"+(byteRange ? byteRange.length+"@"+byteRange.offset : "");
+};
+
+ThumbnailGenerator.prototype._getInitSegmentBuffer = function(map) {
+	var cacheKey = this._getInitSegmentKey(map);
+	return this._getCached(this._initSegments, cacheKey, () => {
+		this._logger.debug("Fetching init segment.", cacheKey);
+		return this._getUrlBuffer(this._resolveUrl(this._resolvedPlaylistUrl, map.uri), {
+			byteRange: map.byteRange
+		}).then((buffer) => {
+			if (!map.key) {
+				return buffer;
+			}
+			if (!map.key.iv) {
+				throw new Error("An IV is required for an encrypted init segment.");
+			}
+			return this._decrypt(buffer, map.key, null);
+		});
+	});
+};
+
+ThumbnailGenerator.prototype._getKeyBuffer = function(keyUrl) {
+	return this._getCached(this._keys, keyUrl, () => {
+		this._logger.debug("Fetching key.", keyUrl);
+		return this._getUrlBuffer(keyUrl, {
+			headers: this._keyRequestHeaders
+		}).then((buffer) => {
+			if (buffer.length !== 16) {
+				throw new Error("Invalid key length: "+buffer.length);
+			}
+			return buffer;
+		});
+	});
+};
+
+// decrypt AES-128 data. If the key has no IV it is derived from the media sequence number of the segment in the playlist
+ThumbnailGenerator.prototype._decrypt = function(buffer, key, mediaSequenceNumber) {
+	if (key.method !== "AES-128") {
+		return Promise.reject(new Error("Unsupported encryption method: "+key.method));
+	}
+	if (!key.uri) {
+		return Promise.reject(new Error("Key URI missing."));
+	}
+	var iv = null;
+	if (key.iv) {
+		iv = Buffer.from(("00000000000000000000000000000000"+key.iv).slice(-32), "hex");
+	}
+	else {
+		iv = Buffer.alloc(16);
+		iv.writeUInt32BE(Math.floor(mediaSequenceNumber / 0x100000000), 8);
+		iv.writeUInt32BE(mediaSequenceNumber % 0x100000000, 12);
+	}
+	return this._getKeyBuffer(this._resolveUrl(this._resolvedPlaylistUrl, key.uri)).then((keyBuffer) => {
+		var decipher = crypto.createDecipheriv("aes-128-cbc", keyBuffer, iv);
+		return Buffer.concat([decipher.update(buffer), decipher.final()]);
+	});
+};
+
+// resolves with the cached promise for `key`, or calls `get` to create it
+// failed promises are removed so that they will be tried again next time
+ThumbnailGenerator.prototype._getCached = function(cache, key, get) {
+	if (!cache[key]) {
+		var promise = get();
+		promise.catch(() => {
+			if (cache[key] === promise) {
+				delete cache[key];
+			}
+		});
+		cache[key] = promise;
+	}
+	return cache[key];
+};
+
+// remove cached init segments and keys that are no longer referenced in the playlist
+ThumbnailGenerator.prototype._pruneCaches = function(segmentTags) {
+	var initSegmentKeys = [];
+	var keyUrls = [];
+	segmentTags.forEach((tags) => {
+		if (tags.map) {
+			initSegmentKeys.push(this._getInitSegmentKey(tags.map));
+			if (tags.map.key && tags.map.key.uri) {
+				keyUrls.push(this._resolveUrl(this._resolvedPlaylistUrl, tags.map.key.uri));
+			}
+		}
+		if (tags.key && tags.key.uri) {
+			keyUrls.push(this._resolveUrl(this._resolvedPlaylistUrl, tags.key.uri));
+		}
+	});
+	Object.keys(this._initSegments).forEach((key) => {
+		if (initSegmentKeys.indexOf(key) === -1) {
+			this._logger.debug("Init segment no longer in playlist.", key);
+			delete this._initSegments[key];
+		}
+	});
+	Object.keys(this._keys).forEach((keyUrl) => {
+		if (keyUrls.indexOf(keyUrl) === -1) {
+			this._logger.debug("Key no longer in playlist.", keyUrl);
+			delete this._keys[keyUrl];
+		}
+	});
+};
+
+// get the start time in ms of each segment from EXT-X-PROGRAM-DATE-TIME tags
+// segments without their own tag are calculated from the closest earlier segment with one, or else the closest later one,
+// in the same discontinuity
+ThumbnailGenerator.prototype._getSegmentDates = function(segments, segmentTags) {
+	var dates = segmentTags.map((tags) => {
+		return tags.programDateTime;
 	});
+	var sameDiscontinuity = (a, b) => {
+		return segmentTags[a].discontinuitySequence === segmentTags[b].discontinuitySequence;
+	};
+	for (var i=1; i<dates.length; i++) {
+		if (dates[i] === null && dates[i-1] !== null && sameDiscontinuity(i, i-1)) {
+			dates[i] = dates[i-1] + (segments[i-1].properties.duration * 1000);
+		}
+	}
+	for (var j=dates.length-2; j>=0; j--) {
+		if (dates[j] === null && dates[j+1] !== null && sameDiscontinuity(j, j+1)) {
+			dates[j] = dates[j+1] - (segments[j].properties.duration * 1000);
+		}
+	}
+	return dates;
+};
+
+// get the index of the first segment from `fromIndex` that starts a discontinuity, or null
+ThumbnailGenerator.prototype._findDiscontinuity = function(segmentTags, fromIndex) {
+	for (var i=fromIndex; i<segmentTags.length; i++) {
+		if (segmentTags[i].discontinuity) {
+			return i;
+		}
+	}
+	return null;
+};
+
+// in scene change mode every segment after the last one that was checked is checked, from the start
+ThumbnailGenerator.prototype._getSceneChangeStartSegment = function(segments, firstSN) {
+	// start from the beginning of the playlist if the segments after the last one that was checked have been removed
+	var index = this._lastSceneChangeSN === null ? 0 : Math.max(0, this._lastSceneChangeSN + 1 - firstSN);
+	if (index >= segments.length) {
+		return null;
+	}
+	return {
+		index: index,
+		startTime: this._calculateSegmentStartTime(segments, index)
+	};
 };
 
 ThumbnailGenerator.prototype._getSegmentInfoAtTime = function(segments, segmentContainingTime) {
@@ -393,53 +1102,447 @@ ThumbnailGenerator.prototype._calculateSegmentStartTime = function(segments, seg
 ThumbnailGenerator.prototype._getResolvedPlaylistUrl = function() {
 	return this._parsePlaylist(this._playlistUrl).then((parsed) => {
 		if (parsed.items.StreamItem.length > 0) {
-			// get the first media playlist that is provided
-			var newUrl = parsed.items.StreamItem[0].properties.uri;
-			newUrl = url.resolve(this._playlistUrl, newUrl);
-			return Promise.resolve(newUrl);
+			var variants = parsed.items.StreamItem.map((item) => {
+				return this._buildVariant(item);
+			});
+			var variant = this._selectVariant(variants);
+			if (!variant) {
+				throw new Error("No variant selected.");
+			}
+			this._variant = variant;
+			this._logger.debug("Variant selected.", variant);
+			this._emit("variantSelected", variant);
+			return Promise.resolve(variant.url);
 		}
 		return Promise.resolve(this._playlistUrl);
 	});
 };
 
-ThumbnailGenerator.prototype._generateThumbnailWithFfmpeg = function(segmentFileLocation, timeIntoSegment, outputFilePath) {
-	return new Promise((resolve, reject) => {
-		var command = new Ffmpeg({
-			timeout: ffmpegTimeout
-		}).input(segmentFileLocation)
-		.seek(this._roundFfmpeg(timeIntoSegment))
+ThumbnailGenerator.prototype._buildVariant = function(item) {
+	var bandwidth = item.get("bandwidth");
+	var resolution = item.get("resolution");
+	var width = null;
+	var height = null;
+	if (typeof resolution === "string") {
+		resolution = resolution.split("x");
+	}
+	if (Array.isArray(resolution)) {
+		width = parseInt(resolution[0]);
+		height = parseInt(resolution[1]);
+	}
+	else if (resolution) {
+		width = resolution.width;
+		height = resolution.height;
+	}
+	return {
+		url: this._resolveUrl(this._playlistUrl, item.properties.uri),
+		bandwidth: bandwidth ? parseInt(bandwidth) : null,
+		width: width || null,
+		height: height || null
+	};
+};
+
+ThumbnailGenerator.prototype._selectVariant = function(variants) {
+	if (this._maxBandwidth) {
+		var allowedVariants = variants.filter((variant) => {
+			return variant.bandwidth !== null && variant.bandwidth <= this._maxBandwidth;
+		});
+		if (allowedVariants.length > 0) {
+			variants = allowedVariants;
+		}
+		else {
+			this._logger.warn("No variants within max bandwidth.", this._maxBandwidth);
+		}
+	}
+
+	if (typeof this._variantSelection === "function") {
+		return this._variantSelection(variants.slice(0));
+	}
+
+	// variants with no bandwidth are treated as the highest
+	var getBandwidth = (variant) => {
+		return variant.bandwidth !== null ? variant.bandwidth : Infinity;
+	};
+	var sorters = {
+		first: null,
+		lowestBandwidth: (a, b) => {
+			return getBandwidth(a) - getBandwidth(b);
+		},
+		highestBandwidth: (a, b) => {
+			return getBandwidth(b) - getBandwidth(a);
+		},
+		closestResolution: (a, b) => {
+			return (this._getResolutionDistance(a) - this._getResolutionDistance(b)) || (getBandwidth(a) - getBandwidth(b));
+		}
+	};
+	var sorter = sorters[this._variantSelection];
+	if (!sorter) {
+		return variants[0];
+	}
+	// sort a copy so that the order is stable for equal variants
+	return variants.map((variant, i) => {
+		return {variant: variant, i: i};
+	}).sort((a, b) => {
+		return sorter(a.variant, b.variant) || (a.i - b.i);
+	})[0].variant;
+};
+
+// how far the variant resolution is from the thumbnail size
+// with multiple sizes the largest one is used, as a smaller one can be scaled down from the same variant
+ThumbnailGenerator.prototype._getResolutionDistance = function(variant) {
+	var size = this._sizes.reduce((largest, size) => {
+		return (size.width || size.height) > (largest.width || largest.height) ? size : largest;
+	});
+	if (size.width && variant.width) {
+		return Math.abs(variant.width - size.width);
+	}
+	if (size.height && variant.height) {
+		return Math.abs(variant.height - size.height);
+	}
+	return Infinity;
+};
+
+// decode the segment once and output a frame at `timeIntoSegment` and then every interval until the end of the segment
+// there is an output for each size so that all the renditions come from the same decode
+// if `maxCount` is provided no more than that many frames are output
+// resolves with an array of `Capture`s, with null for thumbnails that could not be generated
+ThumbnailGenerator.prototype._generateThumbnailsWithFfmpeg = function(segmentFileLocation, segment, timeIntoSegment, outputBaseFilePath, maxCount) {
+	// sprite sheet tiles are lossless, and the sheet is encoded in the requested format
+	var format = this._spriteSheets.length > 0 ? "png" : this._format;
+	var outputPaths = [];
+	for (var time = timeIntoSegment; time < segment.properties.duration && !(maxCount && outputPaths.length >= maxCount); time += this._interval) {
+		var thumbnailIndex = outputPaths.length;
+		outputPaths.push(this._sizes.map((size, sizeIndex) => {
+			return outputBaseFilePath+"-"+thumbnailIndex+this._getRenditionSuffix(sizeIndex)+"."+format;
+		}));
+	}
+	if (outputPaths.length === 0) {
+		return Promise.resolve([]);
+	}
+
+	// there is no interval in scene change mode, where only single frames are taken with this
+	var selectFilters = [];
+	if (this._interval) {
+		var interval = this._roundFfmpeg(this._interval);
+		// timestamps start at 0 from the seek point, so select the first frame in each interval
+		selectFilters.push("select='isnan(prev_selected_t)+gt(floor(t/"+interval+")\\,floor(prev_selected_t/"+interval+"))'");
+	}
+	var fingerprintsLocation = this._isCheckingFrames() ? outputBaseFilePath+"-fingerprints.gray" : null;
+	var outputOptions = ["-vsync vfr", "-start_number 0"].concat(this._spriteSheets.length > 0 ? [] : imageFormats.getOutputOptions(this._format, this._quality));
+	var command = new Ffmpeg({
+		timeout: ffmpegTimeout
+	}).input(segmentFileLocation)
+	.seekInput(this._roundFfmpeg(timeIntoSegment));
+	this._sizes.forEach((size, sizeIndex) => {
+		command.output(outputBaseFilePath+"-%d"+this._getRenditionSuffix(sizeIndex)+"."+format)
 		.noAudio()
-		.frames(1)
-		.size(this._thumbnailSize)
-		.output(outputFilePath)
-		.on('end', (stdout, stderr) => {
-			utils.exists(outputFilePath).then((exists) => {
-				// ffmpeg might fail if the time is right near the end as the duration of the file might be slightly off
-				resolve(exists);
-			}).catch((err) => {
-				reject(err);
+		.videoFilters(selectFilters)
+		.frames(outputPaths.length)
+		.size(this._buildFfmpegSize(size.width, size.height))
+		.outputOptions(outputOptions);
+	});
+	if (fingerprintsLocation) {
+		command.output(fingerprintsLocation)
+		.noAudio()
+		.videoFilters(selectFilters.concat(this._getFingerprintFilters()))
+		.frames(outputPaths.length)
+		.outputOptions(["-vsync vfr", "-f rawvideo"]);
+	}
+	return this._ffmpegQueue.runCommand(command).then(() => {
+		// ffmpeg might not output all the frames if the last time is right near the end as the duration of the file might be slightly off
+		return Promise.all(outputPaths.map((renditionPaths, i) => {
+			return this._getCapture(renditionPaths, timeIntoSegment + (this._interval*i));
+		}));
+	}).then((captures) => {
+		return this._addFingerprints(captures, fingerprintsLocation);
+	});
+};
+
+// decode the segment and output a frame whenever the scene changes, keeping the gaps between thumbnails within the limits
+// the last frame of the previous segment is put in front of this one so that a scene change right at the start is detected
+// resolves with an array of `Capture`s
+ThumbnailGenerator.prototype._generateSceneChangeThumbnails = function(segmentFileLocation, segment, tags, segmentSN, timeIntoSegment, lastThumbnailTime, outputBaseFilePath) {
+	var format = this._spriteSheets.length > 0 ? "png" : this._format;
+	var previousFrame = this._lastFrame && this._lastFrame.sn === segmentSN-1 && !(this._resetIntervalOnDiscontinuity && tags.discontinuity) ? this._lastFrame.location : null;
+	var scoresFileLocation = outputBaseFilePath+"-scores.txt";
+	var lastFrameLocation = outputBaseFilePath+"-last-frame.png";
+	// the previous frame is shown for 1ms, so the segment starts 1ms in
+	var offset = previousFrame ? 0.001 : 0;
+
+	// time since the last thumbnail
+	var gap = null;
+	if (lastThumbnailTime === null) {
+		gap = "(t-prev_selected_t)";
+	}
+	else {
+		gap = "(t-if(isnan(prev_selected_t)\\,"+this._roundFfmpeg(lastThumbnailTime - timeIntoSegment + offset)+"\\,prev_selected_t))";
+	}
+	var condition = "gte("+gap+"\\,"+this._minSceneChangeGap+")*(gt(scene\\,"+this._sceneChangeThreshold+")"+(this._maxSceneChangeGap !== null ? "+gte("+gap+"\\,"+this._maxSceneChangeGap+")" : "")+")";
+	if (lastThumbnailTime === null) {
+		// there isn't a thumbnail to compare against, so take the first frame
+		condition = "isnan(prev_selected_t)+"+condition;
+	}
+	// never select the previous frame
+	var selectExpression = (previousFrame ? "gt(n\\,0)*" : "")+"("+condition+")";
+
+	var filters = [];
+	var segmentInput = previousFrame ? "[1:v]" : "[0:v]";
+	if (previousFrame) {
+		// the previous frame has to match the segment to be joined to it
+		filters.push("[0:v]"+segmentInput+"scale2ref[previous][segment]");
+		filters.push("[previous]setsar=1[previoussar]");
+		filters.push("[segment]setsar=1[segmentsar]");
+		filters.push("[previoussar][segmentsar]concat=n=2:v=1:a=0,split=2[detect][tail]");
+	}
+	else {
+		filters.push(segmentInput+"split=2[detect][tail]");
+	}
+	var fingerprintsLocation = this._isCheckingFrames() ? outputBaseFilePath+"-fingerprints.gray" : null;
+	var selectedLabels = this._sizes.map((size, sizeIndex) => {
+		return "[selected"+sizeIndex+"]";
+	}).concat(fingerprintsLocation ? ["[selectedfingerprint]"] : []);
+	filters.push("[detect]select='"+selectExpression+"',metadata=mode=print:file='"+scoresFileLocation+"',split="+selectedLabels.length+selectedLabels.join(""));
+	this._sizes.forEach((size, sizeIndex) => {
+		filters.push("[selected"+sizeIndex+"]scale="+(size.width || -2)+":"+(size.height || -2)+"[output"+sizeIndex+"]");
+	});
+	if (fingerprintsLocation) {
+		filters.push("[selectedfingerprint]"+this._getFingerprintFilters().join(",")+"[fingerprint]");
+	}
+	// keep the frames near the end, so that the last one is written
+	var tailStart = this._roundFfmpeg(offset + segment.properties.duration - timeIntoSegment - 0.5);
+	filters.push("[tail]select='gte(t\\,"+tailStart+")'[last]");
+
+	var outputOptions = ["-vsync vfr", "-start_number 0"].concat(this._spriteSheets.length > 0 ? [] : imageFormats.getOutputOptions(this._format, this._quality));
+	var command = new Ffmpeg({
+		timeout: ffmpegTimeout
+	});
+	if (previousFrame) {
+		command.input(previousFrame).inputOptions("-framerate 1000");
+	}
+	command.input(segmentFileLocation)
+	.seekInput(this._roundFfmpeg(timeIntoSegment))
+	.complexFilter(filters.join(";"));
+	this._sizes.forEach((size, sizeIndex) => {
+		command.output(outputBaseFilePath+"-%d"+this._getRenditionSuffix(sizeIndex)+"."+format)
+		.outputOptions(["-map [output"+sizeIndex+"]"].concat(outputOptions));
+	});
+	if (fingerprintsLocation) {
+		command.output(fingerprintsLocation)
+		.outputOptions(["-map [fingerprint]", "-vsync vfr", "-f rawvideo"]);
+	}
+	command.output(lastFrameLocation)
+	.outputOptions(["-map [last]", "-update 1"]);
+	return this._ffmpegQueue.runCommand(command).then(() => {
+		return utils.exists(lastFrameLocation);
+	}).then((exists) => {
+		this._setLastFrame(exists ? {sn: segmentSN, location: lastFrameLocation} : null);
+		return utils.readFile(scoresFileLocation);
+	}).then((scores) => {
+		return Promise.all(this._parseSceneScores(scores.toString()).map((frame, i) => {
+			var renditionPaths = this._sizes.map((size, sizeIndex) => {
+				return outputBaseFilePath+"-"+i+this._getRenditionSuffix(sizeIndex)+"."+format;
 			});
-		})
-		.on("error", (err) => {
-			reject(err);
-		}).run();
+			return this._getCapture(renditionPaths, timeIntoSegment + frame.time - offset).then((capture) => {
+				if (capture) {
+					capture.sceneScore = frame.sceneScore;
+				}
+				return capture;
+			});
+		}));
+	}).then((captures) => {
+		utils.unlink(scoresFileLocation).catch(() => {});
+		return this._addFingerprints(captures, fingerprintsLocation);
+	}, (err) => {
+		utils.unlink(scoresFileLocation).catch(() => {});
+		throw err;
 	});
 };
 
-ThumbnailGenerator.prototype._generateThumbnailsWithFfmpeg = function(segmentFileLocation, segment, timeIntoSegment, outputBaseFilePath) {
-	var time = timeIntoSegment;
-	var promises = [];
+// parse the output of the ffmpeg metadata filter into an array of {time, sceneScore}
+ThumbnailGenerator.prototype._parseSceneScores = function(output) {
+	var frames = [];
+	output.split(/\r?\n/).forEach((line) => {
+		var timeMatch = /pts_time:(\S+)/.exec(line);
+		if (timeMatch) {
+			frames.push({
+				time: Math.max(0, parseFloat(timeMatch[1])),
+				sceneScore: 0
+			});
+			return;
+		}
+		var scoreMatch = /^lavfi\.scene_score=(\S+)/.exec(line);
+		if (scoreMatch && frames.length > 0) {
+			frames[frames.length-1].sceneScore = this._roundFfmpeg(parseFloat(scoreMatch[1]));
+		}
+	});
+	return frames;
+};
+
+// replace the last frame that is kept for scene change detection, removing the previous one
+ThumbnailGenerator.prototype._setLastFrame = function(lastFrame) {
+	if (this._lastFrame && (!lastFrame || lastFrame.location !== this._lastFrame.location)) {
+		utils.unlink(this._lastFrame.location).catch(() => {});
+	}
+	if (lastFrame && this._destroyed) {
+		// finished after the generator was destroyed, so it won't be used
+		utils.unlink(lastFrame.location).catch(() => {});
+		lastFrame = null;
+	}
+	this._lastFrame = lastFrame;
+};
+
+/**
+ * @typedef Capture
+ * @type Object
+ * @property {Number} time The time into the segment the thumbnail was taken (seconds).
+ * @property {Array.<String>} locations The location of the thumbnail in each size.
+ * @property {Number} [sceneScore] How different the frame was to the previous one from 0 to 1, in scene change mode.
+ * @property {Buffer} [fingerprint] A small greyscale copy of the frame, if frames are being checked.
+ */
+
+// resolves with the `Capture`, or null if any of the renditions are missing
+ThumbnailGenerator.prototype._getCapture = function(renditionPaths, time) {
+	return Promise.all(renditionPaths.map((outputPath) => {
+		return utils.exists(outputPath);
+	})).then((exists) => {
+		if (exists.every((a) => { return a; })) {
+			return {
+				time: time,
+				locations: renditionPaths
+			};
+		}
+		// only keep thumbnails that have all their renditions
+		renditionPaths.forEach((outputPath, i) => {
+			if (exists[i]) {
+				utils.unlink(outputPath).catch(() => {});
+			}
+		});
+		return null;
+	});
+};
+
+ThumbnailGenerator.prototype._isCheckingFrames = function() {
+	return this._skipBlackFrames || this._skipUniformFrames || this._skipFrozenFrames;
+};
+
+// ffmpeg filters to make a fingerprint of a frame
+ThumbnailGenerator.prototype._getFingerprintFilters = function() {
+	return ["scale="+fingerprintSize+":"+fingerprintSize, "format=gray"];
+};
+
+// add the fingerprints ffmpeg wrote to `fingerprintsLocation` to the captures, in order
+ThumbnailGenerator.prototype._addFingerprints = function(captures, fingerprintsLocation) {
+	if (!fingerprintsLocation) {
+		return Promise.resolve(captures);
+	}
+	var fingerprintLength = fingerprintSize * fingerprintSize;
+	return utils.readFile(fingerprintsLocation).then((buffer) => {
+		utils.unlink(fingerprintsLocation).catch(() => {});
+		captures.forEach((capture, i) => {
+			if (capture && buffer.length >= (i+1) * fingerprintLength) {
+				capture.fingerprint = buffer.slice(i * fingerprintLength, (i+1) * fingerprintLength);
+			}
+		});
+		return captures;
+	});
+};
+
+// check each capture in order, and try nearby frames instead of the ones that are black, uniform or frozen
+// resolves with the captures, with null for the ones where all the frames were rejected
+ThumbnailGenerator.prototype._rejectFrames = function(captures, segmentFileLocation, segment, segmentSN, outputBaseFilePath) {
+	if (!this._isCheckingFrames()) {
+		return Promise.resolve(captures);
+	}
+	var checkedCaptures = [];
+	return captures.reduce((promise, capture, i) => {
+		return promise.then(() => {
+			var attempt = 0;
+			var check = (capture) => {
+				if (!capture || this._destroyed) {
+					return Promise.resolve(capture);
+				}
+				var reason = this._getRejectionReason(capture.fingerprint);
+				if (!reason) {
+					this._lastFingerprint = capture.fingerprint;
+					return Promise.resolve(capture);
+				}
+				this._logger.debug("Frame rejected.", segmentSN, capture.time, reason);
+				this._emit("frameRejected", {
+					sn: segmentSN,
+					time: capture.time,
+					reason: reason
+				});
+				capture.locations.forEach((location) => {
+					utils.unlink(location).catch(() => {});
+				});
+				var retryTime = this._getRetryTime(captures[i].time, attempt, segment.properties.duration);
+				if (retryTime === null) {
+					return Promise.resolve(null);
+				}
+				attempt++;
+				return this._generateThumbnailsWithFfmpeg(segmentFileLocation, segment, retryTime, outputBaseFilePath+"-retry-"+i+"-"+attempt, 1).then((retryCaptures) => {
+					var retryCapture = retryCaptures[0] || null;
+					if (retryCapture && typeof(capture.sceneScore) === "number") {
+						retryCapture.sceneScore = capture.sceneScore;
+					}
+					return check(retryCapture);
+				});
+			};
+			return check(capture).then((checkedCapture) => {
+				checkedCaptures.push(checkedCapture);
+			});
+		});
+	}, Promise.resolve()).then(() => {
+		return checkedCaptures;
+	});
+};
+
+// "black", "uniform" or "frozen" if the frame should be skipped, otherwise null
+ThumbnailGenerator.prototype._getRejectionReason = function(fingerprint) {
+	if (!fingerprint) {
+		return null;
+	}
+	var mean = 0;
 	var i = 0;
-	while (time < segment.properties.duration) {
-		((outputPath) => {
-			promises.push(this._generateThumbnailWithFfmpeg(segmentFileLocation, time, outputPath).then((success) => {
-				return Promise.resolve(success ? outputPath : null);
-			}));
-		})(outputBaseFilePath+"-"+i+".jpg");
-		time += this._interval;
-		i++;
+	for (i=0; i<fingerprint.length; i++) {
+		mean += fingerprint[i];
+	}
+	mean /= fingerprint.length;
+	if (this._skipBlackFrames && mean < blackFrameMaxBrightness) {
+		return "black";
+	}
+	if (this._skipUniformFrames) {
+		var variance = 0;
+		for (i=0; i<fingerprint.length; i++) {
+			variance += Math.pow(fingerprint[i] - mean, 2);
+		}
+		if (Math.sqrt(variance / fingerprint.length) < uniformFrameMaxDeviation) {
+			return "uniform";
+		}
 	}
-	return Promise.all(promises);
+	if (this._skipFrozenFrames && this._lastFingerprint && this._lastFingerprint.length === fingerprint.length) {
+		var difference = 0;
+		for (i=0; i<fingerprint.length; i++) {
+			difference += Math.abs(fingerprint[i] - this._lastFingerprint[i]);
+		}
+		if (difference / fingerprint.length < frozenFrameMaxDifference) {
+			return "frozen";
+		}
+	}
+	return null;
+};
+
+// the time to try for the retry after `attempt` retries, alternating after and before the rejected frame
+// null if there are no more retries, or the time would be outside the segment
+ThumbnailGenerator.prototype._getRetryTime = function(time, attempt, segmentDuration) {
+	var times = [];
+	for (var i=1; i<=this._rejectedFrameRetryCount; i++) {
+		times.push(time + (i * this._rejectedFrameRetryOffset), time - (i * this._rejectedFrameRetryOffset));
+	}
+	times = times.filter((retryTime) => {
+		return retryTime >= 0 && retryTime < segmentDuration;
+	}).slice(0, this._rejectedFrameRetryCount);
+	return attempt < times.length ? times[attempt] : null;
 };
 
 // round to 3 decimal places for ffmpeg
@@ -455,9 +1558,18 @@ ThumbnailGenerator.prototype._getPlaylist = function() {
 
 	function attempt() {
 		numAttempts++;
+		var startTime = Date.now();
 		return this._parsePlaylist(this._resolvedPlaylistUrl).then((parsed) => {
+			this._stats.lastPlaylistFetchTime = Date.now();
+			this._playlistLoadStartTime = startTime;
+			this._emit("playlistRequest", {
+				success: true,
+				duration: Date.now() - startTime
+			});
 			return Promise.resolve({
 				segments: parsed.items.PlaylistItem,
+				// the tags that apply to each segment. See segment-tags.js
+				segmentTags: parsed.segmentTags,
 				properties: parsed.properties
 			});
 		}).catch((err) => {
@@ -465,15 +1577,20 @@ ThumbnailGenerator.prototype._getPlaylist = function() {
 				return Promise.resolve(null);
 			}
 
+			this._stats.playlistErrorCount++;
+			this._emit("playlistRequest", {
+				success: false,
+				duration: Date.now() - startTime
+			});
 			this._logger.error("Error trying to get playlist.", err.stack);
 
-			if (!this._ignorePlaylist404 && err instanceof this._BadStatusCodeException && err.extra === 404) {
+			if (!this._ignorePlaylist404 && err instanceof utils.BadStatusCodeException && err.extra === 404) {
 				// got a 404
 				return Promise.resolve(null);
 			}
 
 			if (this._playlistRetryCount === -1 || this._playlistRetryCount === Infinity || numAttempts <= this._playlistRetryCount) {
-				return this._wait(5000).then(() => {
+				return this._wait(this._getPlaylistRetryDelay(numAttempts)).then(() => {
 					return attempt.bind(this)();
 				});
 			}
@@ -485,50 +1602,147 @@ ThumbnailGenerator.prototype._getPlaylist = function() {
 	}
 };
 
+// exponential backoff, with a random time between half the delay and the delay
+// so that generators for the same stream don't all retry at once
+ThumbnailGenerator.prototype._getPlaylistRetryDelay = function(numAttempts) {
+	var delay = Math.min(playlistRetryDelay * Math.pow(2, numAttempts-1), maxPlaylistRetryDelay);
+	return (delay / 2) + (Math.random() * delay / 2);
+};
+
 ThumbnailGenerator.prototype._parsePlaylist = function(playlistUrl) {
 	return this._getUrlBuffer(playlistUrl).then((buffer) => {
 		return new Promise((resolve, reject) => {
+			var text = buffer.toString();
 			var parser = m3u8.createStream();
 			parser.on('m3u', (parsed) => {
+				parsed.segmentTags = segmentTags.parseSegmentTags(text);
 				resolve(parsed);
 			});
 			parser.on('error', (error) => {
 				reject(error);
 			});
-			parser.write(buffer.toString());
+			parser.write(text);
 			parser.end();
 		});
 	});
 };
 
-ThumbnailGenerator.prototype._getUrlBuffer = function(url, dest) {
+// options.headers: extra request headers
+// options.byteRange: {length, offset} to only get part of the resource
+ThumbnailGenerator.prototype._getUrlBuffer = function(url, options) {
+	options = options || {};
+	var byteRange = options.byteRange || null;
+	var http = this._http;
+	var headers = Object.assign({}, http.headers, options.headers);
+	if (http.cookies) {
+		headers.Cookie = http.cookies;
+	}
+	if (byteRange) {
+		headers.Range = "bytes="+byteRange.offset+"-"+(byteRange.offset + byteRange.length - 1);
+	}
+	var requestOptions = {
+		url: url,
+		headers: headers,
+		encoding: null,
+		timeout: http.timeout * 1000,
+		rejectUnauthorized: http.rejectUnauthorized
+	};
+	if (http.auth) {
+		requestOptions.auth = http.auth.bearer ? {
+			bearer: http.auth.bearer
+		} : {
+			user: http.auth.username,
+			pass: http.auth.password,
+			sendImmediately: true
+		};
+	}
+	["proxy", "ca", "cert", "key"].forEach((name) => {
+		if (http[name]) {
+			requestOptions[name] = http[name];
+		}
+	});
 	return new Promise((resolve, reject) => {
-		request({
-			url: url,
-			encoding: null,
-			timeout: 15000
-		}, (err, res, body) => {
+		request(requestOptions, (err, res, body) => {
 			if (err) {
 				reject(err);
 				return;
 			}
 
 			if (res.statusCode < 200 || res.statusCode >= 300) {
-				reject(new this._BadStatusCodeException(res.statusCode));
+				reject(new utils.BadStatusCodeException(res.statusCode));
 				return;
 			}
+			if (byteRange && res.statusCode !== 206) {
+				// the server ignored the range header and sent the whole thing
+				this._logger.debug("Range request ignored. Slicing response.", url);
+				body = body.slice(byteRange.offset, byteRange.offset + byteRange.length);
+			}
 			resolve(body);
 		});
 	});
 };
 
-ThumbnailGenerator.prototype._BadStatusCodeException = function(statusCode) {
-	Error.captureStackTrace(this, this.constructor);
-	this.name = "BadStatusCode";
-	this.message = "Bad status code: "+statusCode;
-	this.extra = statusCode;
+// validate the `http` option and fill in the defaults
+// cookies are converted to the value of a "Cookie" header
+ThumbnailGenerator.prototype._parseHttpOptions = function(options) {
+	var http = Object.assign({
+		headers: {},
+		cookies: null,
+		auth: null,
+		proxy: null,
+		timeout: 15,
+		rejectUnauthorized: true,
+		ca: null,
+		cert: null,
+		key: null,
+		propagateQueryParams: false
+	}, options);
+	if (typeof http.headers !== "object" || http.headers === null) {
+		throw new Error("http.headers must be an object.");
+	}
+	if (http.cookies !== null && typeof http.cookies === "object") {
+		http.cookies = Object.keys(http.cookies).map((name) => {
+			return name+"="+http.cookies[name];
+		}).join("; ") || null;
+	}
+	else if (http.cookies !== null && typeof http.cookies !== "string") {
+		throw new Error("http.cookies must be an object or a string.");
+	}
+	if (http.auth !== null && (typeof http.auth !== "object" || (typeof http.auth.bearer !== "string" && typeof http.auth.username !== "string"))) {
+		throw new Error("http.auth must be {username, password} or {bearer}.");
+	}
+	if (typeof http.timeout !== "number" || isNaN(http.timeout) || http.timeout <= 0) {
+		throw new Error("http.timeout must be a number greater than 0.");
+	}
+	if (typeof http.propagateQueryParams !== "boolean" && !Array.isArray(http.propagateQueryParams)) {
+		throw new Error("http.propagateQueryParams must be a boolean or an array of names.");
+	}
+	return http;
+};
+
+// resolve a url that came from a playlist, adding the query parameters from the playlist url that should be propagated
+ThumbnailGenerator.prototype._resolveUrl = function(baseUrl, relativeUrl) {
+	var resolvedUrl = url.resolve(baseUrl, relativeUrl);
+	var propagateQueryParams = this._http.propagateQueryParams;
+	if (!propagateQueryParams) {
+		return resolvedUrl;
+	}
+	var sourceQuery = url.parse(this._playlistUrl, true).query;
+	var parsed = url.parse(resolvedUrl, true);
+	var changed = false;
+	Object.keys(sourceQuery).forEach((name) => {
+		if ((propagateQueryParams === true || propagateQueryParams.indexOf(name) !== -1) && typeof parsed.query[name] === "undefined") {
+			parsed.query[name] = sourceQuery[name];
+			changed = true;
+		}
+	});
+	if (!changed) {
+		return resolvedUrl;
+	}
+	// the query is used when there is no search
+	parsed.search = null;
+	return url.format(parsed);
 };
-util.inherits(ThumbnailGenerator.prototype._BadStatusCodeException, Error);
 
 ThumbnailGenerator.prototype._getExtension = function(name) {
 	const res = extensionRegex.exec(name);
@@ -1,21 +1,34 @@
 var fs = require("fs");
 var path = require("path");
 var os = require("os");
+var util = require("util");
 
-function emptyDir(dirPath) {
+// `keep` is an optional array of paths which will not be removed
+function emptyDir(dirPath, keep) {
+	keep = (keep || []).map((keepPath) => {
+		return path.resolve(keepPath);
+	});
 	return readdir(dirPath).then((files) => {
 		var promises = [];
 		files.forEach((file) => {
 			var fullPath = path.join(dirPath, file);
+			if (keep.indexOf(path.resolve(fullPath)) !== -1) {
+				return;
+			}
 			promises.push(stat(fullPath).then((stats) => {
 				if (stats.isFile()) {
 					return unlink(fullPath);
 				}
 				else if (stats.isDirectory()) {
-					return emptyDir(fullPath).then(() => {
-						// dir is now empty
-						// remove it
-						return rmdir(fullPath);
+					return emptyDir(fullPath, keep).then(() => {
+						var keepingFiles = keep.some((keepPath) => {
+							return keepPath.indexOf(path.resolve(fullPath)+path.sep) === 0;
+						});
+						if (!keepingFiles) {
+							// dir is now empty
+							// remove it
+							return rmdir(fullPath);
+						}
 					});
 				}
 				else {
@@ -138,6 +151,18 @@ function writeFile(file, data, options) {
 	});
 }
 
+function readFile(file) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(file, (err, data) => {
+			if (err) {
+				reject(err);
+				return;
+			}
+			resolve(data);
+		});
+	});
+}
+
 // http://stackoverflow.com/a/14387791
 function copy(src, dest) {
 	return new Promise((resolve, reject) => {
@@ -191,6 +216,15 @@ function getTempDir() {
 	return path.join(os.tmpdir(), 'hls-live-thumbnails');
 }
 
+// rejected with when a response has a status code which isn't expected, which is in `extra`
+function BadStatusCodeException(statusCode) {
+	Error.captureStackTrace(this, this.constructor);
+	this.name = "BadStatusCode";
+	this.message = "Bad status code: "+statusCode;
+	this.extra = statusCode;
+}
+util.inherits(BadStatusCodeException, Error);
+
 module.exports = {
 	emptyDir: emptyDir,
 	unlink: unlink,
@@ -200,8 +234,10 @@ module.exports = {
 	exists: exists,
 	ensureExists: ensureExists,
 	writeFile: writeFile,
+	readFile: readFile,
 	copy: copy,
 	rename: rename,
 	move: move,
-	getTempDir: getTempDir
+	getTempDir: getTempDir,
+	BadStatusCodeException: BadStatusCodeException
 };
@@ -0,0 +1,180 @@
+var request = require("request");
+var crypto = require("crypto");
+var utils = require("./utils");
+
+const allEvents = ["newThumbnail", "thumbnailRemoved", "playlistEnded", "finished", "error"];
+
+/**
+ * POSTs events to a callback url as JSON.
+ * Events are queued and delivered one at a time in order, so sending never waits for the receiver.
+ * A delivery is retried with an exponential backoff if the request fails, times out, or the response has a 408, 429 or 5xx status code.
+ * If the queue is full the oldest event is dropped, so a slow receiver can't cause events to build up forever.
+ *
+ * The body is {id, generatorId, event, time, data}, where `id` is unique to the delivery and the same for each attempt,
+ * and `time` is when the event happened (ms).
+ * If a secret is provided the body is signed with HMAC-SHA256 and the hex digest is in the "X-Signature" header as "sha256=[digest]".
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.url The url to POST to.
+ * @param {String} options.generatorId The id of the generator the events are for.
+ * @param {Array.<String>} [options.events] The events to send. Defaults to all of them.
+ * @param {String} [options.secret] The secret to sign the body with. Defaults to null, which disables signing.
+ * @param {Number} [options.maxAttempts] The maximum number of attempts for each event. Defaults to 5.
+ * @param {Number} [options.retryDelay] The delay before the first retry (ms). This doubles for each retry. Defaults to 1000.
+ * @param {Number} [options.maxRetryDelay] The maximum delay between retries (ms). Defaults to 60000.
+ * @param {Number} [options.maxQueueSize] The maximum number of events waiting to be delivered. Defaults to 100.
+ * @param {Number} [options.timeout] The request timeout (ms). Defaults to 10000.
+ * @param {Object} options.logger An object with `debug`, `info`, `warn` and `error` functions.
+ */
+function Webhook(options) {
+	if (!/^https?:\/\//i.test(options.url || "")) {
+		throw new Error("Callback URL must be a http or https url.");
+	}
+	var events = options.events || allEvents;
+	events.forEach((event) => {
+		if (allEvents.indexOf(event) === -1) {
+			throw new Error("Unknown callback event \""+event+"\". Must be one of "+allEvents.join(", ")+".");
+		}
+	});
+	this._url = options.url;
+	this._generatorId = options.generatorId;
+	this._events = events;
+	this._secret = options.secret || null;
+	this._maxAttempts = options.maxAttempts || 5;
+	this._retryDelay = options.retryDelay || 1000;
+	this._maxRetryDelay = options.maxRetryDelay || 60000;
+	this._maxQueueSize = options.maxQueueSize || 100;
+	this._timeout = options.timeout || 10000;
+	this._logger = options.logger;
+	// {id, body}
+	this._queue = [];
+	this._delivering = false;
+	this._retryTimeoutId = null;
+	this._closed = false;
+	this._destroyed = false;
+}
+
+/**
+ * The events that can be sent.
+ * @type {Array.<String>}
+ */
+Webhook.events = allEvents;
+
+/**
+ * Queue an event to be delivered, if it is one of the events to send.
+ * @param {String} event The name of the event.
+ * @param {*} data The data for the event.
+ */
+Webhook.prototype.send = function(event, data) {
+	if (this._closed || this._destroyed || this._events.indexOf(event) === -1) {
+		return;
+	}
+	var id = crypto.randomBytes(16).toString("hex");
+	this._queue.push({
+		id: id,
+		body: JSON.stringify({
+			id: id,
+			generatorId: this._generatorId,
+			event: event,
+			time: Date.now(),
+			data: typeof(data) === "undefined" ? null : data
+		})
+	});
+	if (this._queue.length > this._maxQueueSize) {
+		var dropped = this._queue.splice(this._delivering ? 1 : 0, 1)[0];
+		this._logger.warn("Callback queue full. Dropping event.", this._url, dropped.id);
+	}
+	this._deliverNext();
+};
+
+/**
+ * Stop accepting events. Any that are queued are still delivered.
+ */
+Webhook.prototype.close = function() {
+	this._closed = true;
+};
+
+/**
+ * Stop delivering events. Any that are queued are dropped.
+ */
+Webhook.prototype.destroy = function() {
+	this._destroyed = true;
+	this._queue = [];
+	clearTimeout(this._retryTimeoutId);
+};
+
+Webhook.prototype._deliverNext = function() {
+	if (this._delivering || this._destroyed || this._queue.length === 0) {
+		return;
+	}
+	this._delivering = true;
+	this._attempt(this._queue[0], 1);
+};
+
+Webhook.prototype._attempt = function(delivery, attempt) {
+	this._post(delivery).then(() => {
+		this._logger.debug("Callback delivered.", this._url, delivery.id);
+		return true;
+	}).catch((err) => {
+		var retry = attempt < this._maxAttempts && this._isRetryable(err);
+		this._logger.warn("Callback failed.", this._url, delivery.id, "Attempt "+attempt+".", err.message, retry ? "Retrying." : "Giving up.");
+		if (!retry) {
+			return true;
+		}
+		var delay = Math.min(this._retryDelay * Math.pow(2, attempt-1), this._maxRetryDelay);
+		this._retryTimeoutId = setTimeout(() => {
+			this._retryTimeoutId = null;
+			if (!this._destroyed) {
+				this._attempt(delivery, attempt+1);
+			}
+		}, delay);
+		return false;
+	}).then((done) => {
+		if (!done) {
+			return;
+		}
+		if (this._queue[0] === delivery) {
+			this._queue.shift();
+		}
+		this._delivering = false;
+		this._deliverNext();
+	});
+};
+
+Webhook.prototype._isRetryable = function(err) {
+	if (!(err instanceof utils.BadStatusCodeException)) {
+		// network error or timeout
+		return true;
+	}
+	return err.extra === 408 || err.extra === 429 || err.extra >= 500;
+};
+
+Webhook.prototype._post = function(delivery) {
+	return new Promise((resolve, reject) => {
+		var headers = {
+			"Content-Type": "application/json"
+		};
+		if (this._secret) {
+			headers["X-Signature"] = "sha256="+crypto.createHmac("sha256", this._secret).update(delivery.body).digest("hex");
+		}
+		request({
+			method: "POST",
+			url: this._url,
+			headers: headers,
+			body: delivery.body,
+			timeout: this._timeout
+		}, (err, res) => {
+			if (err) {
+				reject(err);
+				return;
+			}
+			if (res.statusCode < 200 || res.statusCode >= 300) {
+				reject(new utils.BadStatusCodeException(res.statusCode));
+				return;
+			}
+			resolve();
+		});
+	});
+};
+
+module.exports = Webhook;